@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+const Tail = require('../lib/index.js')
+const { validateOptions } = require('../lib/utils')
+const { version } = require('../package.json')
+
+const PROGRAM = 'better-tail'
+
+const USAGE = `Usage: ${PROGRAM} [OPTION]... [FILE]...
+Print the last 10 lines of each FILE to standard output.
+With more than one FILE, precede each with a header giving the file name.
+
+With no FILE, or when FILE is -, read standard input.
+
+  -c, --bytes=[+]NUM       output the last NUM bytes; or use -c +NUM to
+                             output starting with byte NUM of each file
+  -f, --follow[={name|descriptor}]
+                           output appended data as the file grows;
+                             an absent option argument means 'descriptor'
+  -F                       same as --follow=name --retry
+  -n, --lines=[+]NUM       output the last NUM lines, instead of the last 10;
+                             or use -n +NUM to output starting with line NUM
+      --pid=PID            with -f, terminate after process ID, PID dies
+  -q, --quiet, --silent    never output headers giving file names
+      --retry              keep trying to open a file if it is inaccessible
+  -s, --sleep-interval=N   with -f, sleep for approximately N seconds
+                             (default 1.0) between iterations
+  -v, --verbose            always output headers giving file names
+  -z, --zero-terminated    line delimiter is NUL, not newline
+      --encoding=ENC       read files with ENC encoding (default utf8)
+  -h, --help               display this help and exit
+      --version            output version information and exit
+`
+
+/** Short options and the long option they stand for */
+const SHORT_OPTIONS = {
+  c: 'bytes',
+  f: 'follow',
+  F: 'follow-name-retry',
+  h: 'help',
+  n: 'lines',
+  q: 'quiet',
+  s: 'sleep-interval',
+  v: 'verbose',
+  z: 'zero-terminated'
+}
+
+/** Long options and whether they require a value */
+const LONG_OPTIONS = {
+  bytes: true,
+  encoding: true,
+  follow: false,
+  help: false,
+  lines: true,
+  pid: true,
+  quiet: false,
+  retry: false,
+  silent: false,
+  'sleep-interval': true,
+  verbose: false,
+  version: false,
+  'zero-terminated': false
+}
+
+/** Messages displayed when validateOptions rejects a value, by Tail option name */
+const INVALID_VALUE_MESSAGES = {
+  bytes: 'invalid number of bytes',
+  encoding: 'invalid encoding',
+  follow: 'invalid argument for --follow',
+  lines: 'invalid number of lines',
+  pid: 'invalid PID',
+  sleepInterval: 'invalid number of seconds'
+}
+
+/**
+ * Convert a tail byte count to Tail bytes option
+ * Counting from start (+NUM) starts with byte 1 for tail, while Tail bytes option starts with byte 0
+ * @param {String} value Byte count
+ * @returns {String} Tail bytes option, invalid values are left as is for validateOptions to reject them
+ */
+const toBytesOption = (value) => {
+  const count = value.startsWith('+') ? value.slice(1) : undefined
+
+  return count !== undefined && count !== '' && !isNaN(count) ? `+${Math.max(0, Number(count) - 1)}` : value
+}
+
+/**
+ * Check if given count is zero, which outputs nothing unless counting from start (+0)
+ * @param {String} value Lines or bytes count
+ * @returns {Boolean}
+ */
+const isZeroCount = (value) => !value.startsWith('+') && value.trim() !== '' && Number(value) === 0
+
+/**
+ * Apply a command line option to parsed arguments
+ * @param {Object} args Parsed arguments
+ * @param {String} name Long option name
+ * @param {String} [value] Option value
+ * @throws if option value is invalid
+ * @returns {void}
+ */
+const applyOption = (args, name, value) => {
+  switch (name) {
+    case 'bytes':
+      args.options.bytes = toBytesOption(value)
+      args.raw.bytes = value
+      break
+    case 'encoding':
+      args.options.encoding = value
+      args.raw.encoding = value
+      break
+    case 'follow':
+      args.options.follow = value === undefined ? true : value
+      args.raw.follow = value
+      break
+    case 'follow-name-retry':
+      args.options.follow = 'name'
+      args.options.retry = true
+      break
+    case 'lines':
+      // Last of lines and bytes options wins, but Tail gives precedence to bytes option
+      delete args.options.bytes
+
+      // Tail reads whole target with 0 lines, while tail outputs nothing: start at target end instead
+      if (isZeroCount(value)) {
+        args.options.bytes = '0'
+      }
+
+      args.options.lines = value
+      args.raw.lines = value
+      break
+    case 'pid':
+      args.options.pid = value
+      args.raw.pid = value
+      break
+    case 'quiet':
+    case 'silent':
+      args.headers = false
+      break
+    case 'retry':
+      args.options.retry = true
+      break
+    case 'sleep-interval':
+      // Seconds are converted to milliseconds, invalid values are left as is for validateOptions to reject them
+      args.options.sleepInterval = value === '' || isNaN(value) ? value : Number(value) * 1000
+      args.raw.sleepInterval = value
+      break
+    case 'verbose':
+      args.headers = true
+      break
+    case 'zero-terminated':
+      args.options.delimiter = '\0'
+      break
+    default:
+      args[name] = true
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<String>} argv Command line arguments, without node and script paths
+ * @throws if an option is unknown or misses its value
+ * @returns {Object} Parsed arguments: Tail options, files to tail and command line flags
+ */
+const parseArgs = (argv) => {
+  const args = {
+    options: {},
+    raw: {},
+    files: []
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+
+    if (arg === '--') {
+      args.files = args.files.concat(argv.slice(i + 1))
+
+      break
+    } else if (arg.startsWith('--')) {
+      const separatorIndex = arg.indexOf('=')
+      const name = separatorIndex === -1 ? arg.slice(2) : arg.slice(2, separatorIndex)
+      let value = separatorIndex === -1 ? undefined : arg.slice(separatorIndex + 1)
+
+      if (!Object.prototype.hasOwnProperty.call(LONG_OPTIONS, name)) {
+        throw new Error(`unrecognized option '${arg}'`)
+      }
+
+      if (LONG_OPTIONS[name] && value === undefined) {
+        if (i + 1 === argv.length) {
+          throw new Error(`option '--${name}' requires an argument`)
+        }
+
+        value = argv[++i]
+      } else if (!LONG_OPTIONS[name] && value !== undefined && name !== 'follow') {
+        throw new Error(`option '--${name}' doesn't allow an argument`)
+      }
+
+      applyOption(args, name, value)
+    } else if (arg.startsWith('-') && arg !== '-') {
+      // Short options can be grouped (ie. -fn5)
+      for (let j = 1; j < arg.length; j++) {
+        const name = SHORT_OPTIONS[arg[j]]
+
+        if (!name) {
+          throw new Error(`invalid option -- '${arg[j]}'`)
+        }
+
+        if (LONG_OPTIONS[name]) {
+          let value = arg.slice(j + 1)
+
+          if (!value) {
+            if (i + 1 === argv.length) {
+              throw new Error(`option requires an argument -- '${arg[j]}'`)
+            }
+
+            value = argv[++i]
+          }
+
+          applyOption(args, name, value)
+
+          break
+        }
+
+        applyOption(args, name)
+      }
+    } else {
+      args.files.push(arg)
+    }
+  }
+
+  return args
+}
+
+/**
+ * Print an error message to standard error, and set exit code to failure
+ * @param {String} message Error message
+ * @returns {void}
+ */
+const fail = (message) => {
+  process.stderr.write(`${PROGRAM}: ${message}\n`)
+  process.exitCode = 1
+}
+
+/**
+ * Print a target error message like tail does
+ * @param {Error} err Target error
+ * @param {String} name Target display name
+ * @returns {void}
+ */
+const failTarget = (err, name) => {
+  // System errors messages look like "ENOENT: no such file or directory, access 'file'"
+  const match = err.code && /^\w+: ([^,]+)/.exec(err.message)
+
+  if (match) {
+    fail(`cannot open '${name}' for reading: ${match[1].charAt(0).toUpperCase()}${match[1].slice(1)}`)
+  } else {
+    fail(`${name}: ${err.message}`)
+  }
+}
+
+/**
+ * Run command
+ * @param {Array<String>} argv Command line arguments, without node and script paths
+ * @returns {void}
+ */
+const main = (argv) => {
+  let args
+
+  try {
+    args = parseArgs(argv)
+    validateOptions(args.options)
+  } catch (err) {
+    if (err.option) {
+      const value = args && args.raw[err.option] !== undefined ? args.raw[err.option] : err.value
+
+      fail(`${INVALID_VALUE_MESSAGES[err.option] || `invalid ${err.option}`}: '${value}'`)
+    } else {
+      fail(err.message)
+    }
+
+    process.stderr.write(`Try '${PROGRAM} --help' for more information.\n`)
+
+    return
+  }
+
+  if (args.help) {
+    process.stdout.write(USAGE)
+
+    return
+  }
+
+  if (args.version) {
+    process.stdout.write(`${PROGRAM} ${version}\n`)
+
+    return
+  }
+
+  const files = args.files.length ? args.files : ['-']
+  const headers = args.headers === undefined ? files.length > 1 : args.headers
+
+  // Raw bytes are output as they are read, so that delimiters, carriage returns and invalid characters are kept as is
+  const tail = new Tail(files.length === 1 ? files[0] : files, Object.assign({}, args.options, { raw: true, headers }))
+
+  tail.on('truncate', (previousSize, size, name) => {
+    process.stderr.write(`${PROGRAM}: ${name}: file truncated\n`)
+  }).on('retry', failTarget).on('targetError', failTarget).on('error', (err) => {
+    failTarget(err, files.length === 1 ? tail.name : files.join(', '))
+  }).pipe(process.stdout)
+
+  process.stdout.on('error', (err) => {
+    // Reader went away (ie. piped to head), there is nothing more to do
+    if (err.code === 'EPIPE') {
+      tail.destroy()
+      process.exit()
+    }
+  })
+}
+
+main(process.argv.slice(2))
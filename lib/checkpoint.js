@@ -0,0 +1,105 @@
+const fs = require('fs')
+const path = require('path')
+
+/** Pending writes, by checkpoint file path: writes to a file are queued so that concurrent saves do not overwrite each other */
+const writes = new Map()
+
+/**
+ * Checkpoint store keeping targets states in a JSON file, by target name
+ */
+class FileCheckpoint {
+  /**
+   * Create file checkpoint store
+   * @param {String} path Checkpoint file path
+   */
+  constructor (path) {
+    this.path = path
+  }
+
+  /**
+   * Read states saved in checkpoint file
+   * @throws if checkpoint file could not be read
+   * @returns {Promise<Object>} Saved states, by target name
+   */
+  async _load () {
+    let states
+
+    try {
+      states = JSON.parse(await fs.promises.readFile(this.path, 'utf8'))
+    } catch (err) {
+      // Missing or invalid checkpoint file means nothing was saved yet
+      if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+        return {}
+      }
+
+      throw err
+    }
+
+    return states && typeof states === 'object' ? states : {}
+  }
+
+  /**
+   * Get saved state of a target
+   * @param {String} name Target name
+   * @throws if checkpoint file could not be read
+   * @returns {Promise<Object|undefined>} Saved state, if any
+   */
+  async get (name) {
+    return (await this._load())[name]
+  }
+
+  /**
+   * Save state of a target
+   * Checkpoint file is replaced by renaming a temporary file, so that it is never left half-written
+   * @param {String} name Target name
+   * @param {Object} state State to save
+   * @throws if checkpoint file could not be written
+   * @returns {Promise<void>}
+   */
+  set (name, state) {
+    const key = path.resolve(this.path)
+    const write = (writes.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(() => this._write(name, state))
+
+    writes.set(key, write)
+
+    // Forget settled writes, unless another one was queued meanwhile
+    const forget = () => {
+      if (writes.get(key) === write) {
+        writes.delete(key)
+      }
+    }
+
+    write.then(forget, forget)
+
+    return write
+  }
+
+  /**
+   * Write state of a target to checkpoint file, keeping states of other targets
+   * @param {String} name Target name
+   * @param {Object} state State to save
+   * @throws if checkpoint file could not be written
+   * @returns {Promise<void>}
+   */
+  async _write (name, state) {
+    const states = await this._load()
+    const tmpPath = `${this.path}.${process.pid}.tmp`
+
+    states[name] = state
+
+    const handle = await fs.promises.open(tmpPath, 'w')
+
+    try {
+      await handle.writeFile(JSON.stringify(states))
+      await handle.sync()
+    } finally {
+      await handle.close()
+    }
+
+    await fs.promises.rename(tmpPath, this.path)
+  }
+}
+
+module.exports = FileCheckpoint
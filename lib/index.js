@@ -1,27 +1,101 @@
 const fs = require('fs')
-const readline = require('readline')
+const path = require('path')
 const { Readable } = require('stream')
+const zlib = require('zlib')
 
-const { createDebugger, validateOptions, getFileDescriptor } = require('./utils')
+const FileCheckpoint = require('./checkpoint')
+const LineFilter = require('./line-filter')
+const LineGrouper = require('./line-grouper')
+const LineSplitter = require('./line-splitter')
+const PollScheduler = require('./scheduler')
+const RingBuffer = require('./ring-buffer')
+const createServer = require('./server')
+const { createTimestampParser } = require('./timestamp')
+const { readChunk, countBufferSeparators, countSeparators, seekBackward, seekBackwardLine, seekForward, seekTimestamp, getCharacterStart, seekCharacterStart, endsWith } = require('./seek')
+const { createDebugger, validateOptions, open, close, fstat, getFileDescriptor, getCodeUnitSize, getDelimiter, detectEncoding, isReadableStream, isDirectory, exists, isGlob, globToRegExp, isProcessAlive } = require('./utils')
+
+/** Bytes starting every gzip file */
+const GZIP_MAGIC_BYTES = Buffer.from([0x1f, 0x8b])
+
+/** Targets watched with fs.watch, which may never fire on some file systems (ie. NFS), are still polled this many times less often */
+const WATCHED_POLL_FACTOR = 10
 
 class Tail extends Readable {
+  /**
+   * Get lines of given target at once
+   * @param {String|Number|Readable|Array} [target] Target to tail, see constructor
+   * @param {Object} [options] Tail options, see constructor; follow option is ignored
+   * @returns {Promise<Array<String>>} Resolves with target lines, or rejects with error emitted by stream
+   */
+  static read (target, options = {}) {
+    return new Promise((resolve, reject) => {
+      const lines = []
+
+      new Tail(target, Object.assign({}, options, { follow: false })).on('line', (line) => {
+        lines.push(line)
+      }).on('end', () => {
+        resolve(lines)
+      }).on('error', reject)
+    })
+  }
+
+  /**
+   * Start an HTTP server streaming lines of whitelisted targets as Server-Sent Events
+   * @param {Object} options Server options, see createServer in server module
+   * @throws if targets are invalid
+   * @returns {http.Server}
+   */
+  static serve (options) {
+    return createServer(this, options)
+  }
+
   /**
    * Get the last 10 lines of given target. If no target is provided, get standard input.
-   * @param {String|Number|ReadStream} target Target to tail
+   * @param {String|Number|Readable|Array} [target] Target to tail (use '-' for standard input); or an array of targets to tail them all in a single stream; or a directory path (or glob pattern of file names) to tail its files
    * @param {Object} [options] Tail options
    * @param {Number} [options.bytes] Return the last N bytes; or use +N to output starting with byte N; will be ignored if lines options is set
-   * @param {Boolean} [options.follow=false] Return appended data as the file grows
+   * @param {Boolean|String} [options.follow=false] Return appended data as the file grows; set it to 'name' to follow target path across log rotations
    * @param {Number} [options.lines=10] Return the last N lines; or use +N to output starting with line N; set it to zero or a negative value to return all lines
    * @param {Boolean|Object} [options.retry=false] Keep trying to open a file if it is inaccessible
    * @param {Number} [options.retry.timeout] Stop retrying after N milliseconds
    * @param {Number} [options.retry.max] Retry N times before giving up
-   * @param {Number} [options.sleepInterval=1000] With follow option set to true, sleep for approximately N milliseconds between iterations
-   * @param {String} [options.encoding=utf8] File characters encoding
-   * @emits Tail#error if target is invalid or file doesn’t exists or user lacks permissions on file
+   * @param {Number} [options.sleepInterval=1000] With follow option set to true, sleep for at most N milliseconds between iterations; busy targets are polled more often
+   * @param {Boolean|String} [options.watch=false] With follow option set to true, read target as soon as it changes instead of polling it; set it to 'poll' to use fs.watchFile
+   * @param {Number} [options.pid] With follow option set to true, stop following once process with this ID exits
+   * @param {String} [options.truncate=lines] Where to resume reading from once target was truncated: 'lines' to apply lines (or bytes) option again, 'start' for target start, 'end' for target new end
+   * @param {Boolean} [options.truncateMessage=false] Emit a `better-tail: file truncated` line once target was truncated
+   * @param {String} [options.encoding=utf8] File characters encoding; set it to 'auto' to detect it from target byte order mark (defaults to utf8)
+   * @param {String|Buffer} [options.delimiter] Line delimiter (ie. '\0' for NUL-terminated records); defaults to newline, optionally preceded by a carriage return
+   * @param {Boolean} [options.keepDelimiter=false] Keep delimiter at end of emitted lines
+   * @param {String} [options.format=text] Lines format; set it to 'json' to parse each line as a JSON record
+   * @param {RegExp|Function|Array} [options.include] Only emit lines matching one of these regular expressions or predicates
+   * @param {RegExp|Function|Array} [options.exclude] Do not emit lines matching any of these regular expressions or predicates
+   * @param {Number} [options.before=0] With include or exclude option, also emit N lines of context before matching lines
+   * @param {Number} [options.after=0] With include or exclude option, also emit N lines of context after matching lines
+   * @param {Boolean} [options.matchingLines=false] With include or exclude option, lines option counts matching lines only (ie. last N matching lines)
+   * @param {Date|Number|String} [options.since] Start from first line logged at or after this time (found by binary search in files sorted by time); supersedes lines and bytes options
+   * @param {Date|Number|String} [options.until] Without follow option, stop after last line logged at or before this time
+   * @param {String|Function} [options.timestamp=iso8601] How line timestamps are found: 'iso8601', 'syslog', or a function returning line timestamp (as a date or milliseconds)
+   * @param {Object} [options.multiline] Group lines spanning over a single record (ie. stack traces) into a single line; lines option then counts records
+   * @param {RegExp|Function} [options.multiline.start] Pattern matching first line of records
+   * @param {RegExp|Function} [options.multiline.continuation] Pattern matching following lines of records (ie. indented lines)
+   * @param {Number} [options.multiline.timeout=1000] With follow option set to true, emit pending record once no line was read for N milliseconds
+   * @param {Boolean} [options.headers=false] Emit a `==> target <==` header line before lines coming from a different target
+   * @param {Boolean} [options.failFast=false] With multiple targets, destroy stream as soon as a target emits an error
+   * @param {Boolean} [options.objectMode=false] Emit data events with line objects (line, byteOffset, lineNumber, target and readAt) rather than Buffers
+   * @param {Boolean} [options.raw=false] Emit exact target bytes through data events rather than lines; line events are not emitted, and options processing lines are ignored
+   * @param {String|Object} [options.checkpoint] Path of a file where file targets position is saved, to resume from it on next run; or a store with get(name) and set(name, state) methods, which may return promises
+   * @emits Tail#error if target is invalid or file doesn’t exists or user lacks permissions on file, or if following a compressed file
+   * @emits Tail#targetError with multiple targets, if a target emits an error and failFast option is set to false
+   * @emits Tail#rotate if target path points to a new file while following it by name
+   * @emits Tail#truncate if target was truncated while following it
+   * @emits Tail#record with json format, for each line parsed as a JSON record
+   * @emits Tail#parseError with json format, for each line which is not valid JSON
    * @returns {ReadableStream}
    */
   constructor (target, options = {}) {
-    super()
+    // Each line is pushed as a single chunk, including empty lines which would be dropped from a bytes stream
+    super({ objectMode: true })
 
     this.debug = createDebugger(options.debug)
 
@@ -38,58 +112,170 @@ class Tail extends Readable {
     this.debug(`Tail target: ${target}`)
     this.debug(`Tail options: ${JSON.stringify(this.options, null, 2)}`)
 
-    this._guessTarget(target)
+    // Encoding is detected once target start is read, utf8 is assumed until then
+    if (this.options.encoding === 'auto') {
+      this.isDetectingEncoding = true
+      this.options.encoding = 'utf8'
+    }
+
+    // Name used to identify target in headers and events
+    this.name = target === undefined || target === '-' ? 'standard input' : (target && target.path ? target.path : target)
+
+    // Target is checked without blocking, lines are only emitted once listeners had a chance to be attached
+    this._start(target, options).catch((err) => this.destroy(err))
+
+    return this
+  }
+
+  /**
+   * Guess target type, then start tailing it
+   * @param {String|Number|Readable|Array} [target] Target to tail data from
+   * @param {Object} options Tail options, as given to constructor
+   * @returns {Promise}
+   */
+  async _start (target, options) {
+    await this._guessTarget(target)
+
+    if (this._isStopped()) {
+      return
+    }
+
+    if (this.type === 'multiple') {
+      this.debug(`Target type: ${this.type}`)
+
+      this._tailTargets(options)
+    } else if (this.type === 'directory') {
+      this.debug(`Target type: ${this.type}`)
 
-    if (this.type) {
+      await this._tailDirectory(options)
+    } else if (this.type && this.options.follow === 'name' && this.type !== 'path') {
+      this.debug('Cannot follow target by name')
+      this.destroy(new Error('Following by name requires a file path target'))
+    } else if (this.type) {
       this.debug(`Target type: ${this.type}`)
 
       this.ignoreEOFNewline = true
       this.isReading = false
+      this.delimiter = getDelimiter(this.options.encoding, this.options.delimiter)
       this._handleLineEvent = this._handleLineEvent.bind(this)
-      this._handleCloseEvent = this._handleCloseEvent.bind(this)
+      this._handleInputEnd = this._handleInputEnd.bind(this)
       this._handleEndEvent = this._handleEndEvent.bind(this)
+      this._handleWatchEvent = this._handleWatchEvent.bind(this)
+      this._handleWatchError = this._handleWatchError.bind(this)
+      this._checkProcess = this._checkProcess.bind(this)
+      this._pollTarget = this._pollTarget.bind(this)
+
+      if (this.options.multiline && !this.options.raw) {
+        // Pending record is only flushed on timeout while following target, otherwise once target end is reached
+        const groupOptions = Object.assign({}, this.options.multiline, {
+          start: this._guard(this.options.multiline.start),
+          continuation: this._guard(this.options.multiline.continuation),
+          timeout: this.options.follow ? this.options.multiline.timeout : undefined
+        })
 
-      if (this.type === 'path' || this.type === 'fd') {
-        this._checkFile(() => {
-          this._checkEOFNewline(() => {
-            this.cursor = this.options.lines <= 0 ? 0 : this._getCursorPos()
+        this.grouper = new LineGrouper(groupOptions, this.options.keepDelimiter ? '' : '\n', (line, position) => this._filterLine(line, position))
+      }
 
-            this._readLines()
-          })
+      if ((this.options.include || this.options.exclude) && !this.options.raw) {
+        const filterOptions = Object.assign({}, this.options, {
+          include: this.options.include && this.options.include.map((pattern) => this._guard(pattern)),
+          exclude: this.options.exclude && this.options.exclude.map((pattern) => this._guard(pattern))
         })
-      } else {
-        this.debug('Target is not a file: set start cursor to 0')
 
-        this.cursor = 0
+        this.lineFilter = new LineFilter(filterOptions, (line, position) => this._acceptLine(line, position))
+      }
 
-        this._readLines()
+      if (this.options.since || this.options.until) {
+        this.parseTimestamp = createTimestampParser(this.options.timestamp)
+      }
+
+      if (this.type === 'path' || this.type === 'fd') {
+        if (typeof this.options.checkpoint === 'string') {
+          this.checkpoint = new FileCheckpoint(this.options.checkpoint)
+        } else {
+          this.checkpoint = this.options.checkpoint
+        }
+
+        this.lastCheckpointTime = 0
+
+        await this._readFile()
+      } else {
+        this._readStream()
       }
     }
+  }
 
-    return this
+  /**
+   * Check file target, then read it from requested position
+   * Each step destroys stream if it fails, so that following ones are skipped
+   * @returns {Promise}
+   */
+  async _readFile () {
+    if (!(await this._checkFile()) || await this._checkCompression()) {
+      return
+    }
+
+    if (this.options.follow === 'name' && !(await this._openTarget())) {
+      return
+    }
+
+    if (!(await this._checkEncoding()) || !(await this._checkUntil()) || !(await this._checkEOFNewline())) {
+      return
+    }
+
+    const checkpointCursor = await this._restoreCheckpoint()
+
+    if (checkpointCursor !== undefined) {
+      this.cursor = checkpointCursor
+    } else {
+      this.cursor = this.options.lines <= 0 && !this.options.since && !this.options.bytes ? 0 : await this._getCursorPos()
+    }
+
+    this.initialSize = undefined
+
+    await this._resetLineNumber()
+
+    if (!this._isStopped()) {
+      this._readLines()
+      this._follow()
+    }
   }
 
   /**
      * Guess target type
-     * @param {String|Number|ReadStream} target Target to tail data from
+     * @param {String|Number|Readable|Array} [target] Target to tail data from
      * @emits Tail#error if invalid target was provided or fd check failed
-     * @returns {void}
+     * @returns {Promise}
      */
-  _guessTarget (target) {
+  async _guessTarget (target) {
     this.debug('Guessing target type')
 
+    if (target === undefined || target === '-') {
+      await this._guessStdinTarget()
+
+      return
+    }
+
     try {
-      const fd = getFileDescriptor(target)
+      const fd = Array.isArray(target) ? false : await getFileDescriptor(target)
+      // Path targets are stat first, so that lines appended while target is being checked are followed rather than counted as last lines
+      const stats = typeof target === 'string' ? await fs.promises.stat(target).catch(() => undefined) : undefined
 
-      if (fd) {
+      if (Array.isArray(target) && target.length) {
+        this.type = 'multiple'
+        this.target = target
+      } else if (fd) {
         this.type = 'fd'
         this.target = fd
-      } else if (target instanceof fs.ReadStream) {
+      } else if (isReadableStream(target)) {
         this.type = 'stream'
         this.target = target
+      } else if (typeof target === 'string' && ((stats && stats.isDirectory()) || (isGlob(target) && !(await exists(target))))) {
+        await this._guessDirectoryTarget(target)
       } else if (typeof target === 'string') {
         this.type = 'path'
         this.target = target
+        this.initialSize = stats && stats.size
       } else {
         this.debug('Invalid target provided')
         this.destroy(new Error('Invalid target provided'))
@@ -100,345 +286,1990 @@ class Tail extends Readable {
     }
   }
 
-  _stopRetry (errMessage) {
-    clearTimeout(this.nextRetryTimeout)
-    clearTimeout(this.abortRetryTimeout)
+  /**
+   * Guess directory target: a directory path, or a glob pattern matching files names of a directory
+   * @param {String} target Directory path or glob pattern
+   * @emits Tail#error if glob pattern is not only in files names
+   * @returns {Promise}
+   */
+  async _guessDirectoryTarget (target) {
+    if (await isDirectory(target)) {
+      this.type = 'directory'
+      this.directory = target
 
-    this.options.retry = undefined
+      return
+    }
 
-    this.debug(errMessage)
-    this.destroy(new Error(errMessage))
+    this.directory = path.dirname(target)
+
+    if (isGlob(this.directory)) {
+      this.debug('Glob pattern is not only in files names')
+      this.destroy(new Error('Glob patterns are only supported in file names'))
+
+      return
+    }
+
+    this.type = 'directory'
+    this.pattern = globToRegExp(path.basename(target))
   }
 
   /**
-    * Check file access
-    * @param {Function} cb Callback
-    * @emits Tail#error if file doesn’t exists or user lack permissions on it
-    * @returns {void}
-    */
-  _checkFile (cb) {
-    // Clear previous nextRetryTimeout
-    clearTimeout(this.nextRetryTimeout)
-
-    // Increment retry count or start it at 0
-    this.retryCount = ++this.retryCount || 0
+   * Guess standard input type
+   * A regular file redirected to standard input is read through its file descriptor so that it can be seeked,
+   * anything else (TTY, FIFO, pipe, socket…) is read as a stream
+   * @emits Tail#error if standard input could not be stat
+   * @returns {Promise}
+   */
+  async _guessStdinTarget () {
+    this.debug('Target is standard input')
 
     try {
-      if (this.type === 'path') {
-        this.debug('Checking target availability')
+      if ((await fstat(0)).isFile()) {
+        this.type = 'fd'
+        this.target = 0
+      } else {
+        this.type = 'stream'
+        this.target = process.stdin
+      }
+    } catch (err) {
+      this.debug(`Failed to stat standard input: ${err}`)
+      this.destroy(err)
+    }
+  }
 
-        fs.accessSync(this.target, fs.constants.F_OK | fs.constants.R_OK)
+  /**
+   * Tail all targets at once, then merge their data into this stream one target after the other
+   * Each target tail is held (paused) until previous ones reached their end, failed or started retrying, so that headers are not mixed up
+   * @param {Object} options Tail options, passed down to each target tail
+   * @emits Tail#error if a target emits an error and failFast option is set
+   * @emits Tail#targetError if a target emits an error and failFast option is not set
+   * @returns {void}
+   */
+  _tailTargets (options) {
+    const tailOptions = Object.assign({}, options, { headers: false, failFast: false })
 
-        this.debug('Target is available')
-      }
+    this.tails = []
+    this.stoppedTails = 0
 
-      // Clean retry timeouts
-      clearTimeout(this.nextRetryTimeout)
-      clearTimeout(this.abortRetryTimeout)
+    const release = () => {
+      for (const tail of heldTails) {
+        if (tail.isHeld) {
+          tail.isHeld = false
 
-      cb()
-    } catch (err) {
-      if (this.options.retry) {
-        // Only create abortRetryTimeout once
-        if (this.options.retry.timeout && !this.abortRetryTimeout) {
-          this.abortRetryTimeout = setTimeout(this._stopRetry.bind(this, 'Retry timeout reached'), this.options.retry.timeout)
+          if (!this.isSourcePaused) {
+            tail.resume()
+          }
         }
 
-        if (this.options.retry.max && this.options.retry.max === this.retryCount) {
-          this._stopRetry('Max retries reached')
-
-          return
+        if (!tail.hasStarted) {
+          break
         }
+      }
+    }
 
-        // Create new nextRetryTimeout
-        this.nextRetryTimeout = setTimeout(() => {
-          this.debug('Failed to check target, retrying now…')
+    const heldTails = this.target.map((target) => {
+      const tail = this._attachTail(target, tailOptions, release)
 
-          return this._checkFile(cb)
-        }, this.options.retry.interval || this.options.sleepInterval)
+      // Followed streams (standard input may be a pipe) have no end to wait for, their lines are merged as soon as they are read
+      if (this.options.follow && (isReadableStream(target) || target === '-')) {
+        tail.hasStarted = true
       } else {
-        this.debug(`Failed to check target availability: ${err}`)
-        this.destroy(err)
+        tail.isHeld = true
+        tail.pause()
       }
-    }
+
+      return tail
+    })
+
+    release()
+    this._flow()
+    this._endTails()
   }
 
   /**
-   * Get target file content
-   * @emits Tail#error if target could not be read
-   * @returns {String}
+   * Tail a target, merging its data into this stream
+   * @param {String|Number|Readable} target Target to tail
+   * @param {Object} options Target tail options
+   * @param {Function} [onStart] Function called once target tail reached its end, failed or started retrying for the first time
+   * @emits Tail#error if target emits an error and failFast option is set
+   * @emits Tail#targetError if target emits an error and failFast option is not set
+   * @emits Tail#retry if target is not accessible yet
+   * @returns {Tail} Target tail
    */
-  _getFileContent () {
-    let data
+  _attachTail (target, options, onStart) {
+    const tail = new Tail(target, options)
+    let done = false
 
-    try {
-      if (this.type === 'path') {
-        data = fs.readFileSync(this.target, {
-          encoding: this.options.encoding,
-          flag: 'r'
-        })
-      } else {
-        const buff = Buffer.alloc(fs.fstatSync(this.target).size)
+    const start = () => {
+      if (!tail.hasStarted) {
+        tail.hasStarted = true
+
+        if (onStart) {
+          onStart()
+        }
+      }
+    }
 
-        fs.readSync(this.target, buff, 0, buff.length, 0)
+    const stop = () => {
+      if (!done) {
+        done = true
 
-        data = buff.toString(this.options.encoding)
+        this.stoppedTails++
+        this._endTails()
       }
+    }
 
-      return data
-    } catch (err) {
-      this.debug(`Failed to get target file content: ${err}`)
-      this.destroy(err)
+    this.debug(`Tail target: ${tail.name}`)
 
-      // Always return data
-      return ''
+    this.tails.push(tail)
+
+    // Raw chunks are not lines, and line objects carry position of lines in their target
+    if (this.options.raw) {
+      tail.on('data', (chunk) => {
+        this._emitChunk(chunk, tail)
+      })
+    } else if (this.options.objectMode) {
+      tail.on('data', (data) => {
+        this._emitLine(data.line, tail, data)
+      })
+    } else {
+      // Data events (unlike line events) stop while target tail is paused
+      tail.on('data', (data) => {
+        this._emitLine(data.toString(tail.options.encoding), tail)
+      })
     }
+
+    tail.on('rotate', () => {
+      this.emit('rotate', tail.name)
+    }).on('truncate', (previousSize, size) => {
+      this.emit('truncate', previousSize, size, tail.name)
+    }).on('record', (record) => {
+      this.emit('record', record, tail.name)
+    }).on('parseError', (err) => {
+      this.emit('parseError', err, tail.name)
+    }).on('retry', (err) => {
+      start()
+
+      this.emit('retry', err, tail.name)
+    }).on('eof', () => {
+      start()
+
+      this.emit('eof', tail.name)
+    }).on('end', () => {
+      // Target tail stops following once watched process exited
+      stop()
+    }).on('error', (err) => {
+      this.debug(`Target ${tail.name} failed: ${err}`)
+
+      // Files deleted from a tailed directory are not errors
+      if (this.type === 'directory' && err.code === 'ENOENT') {
+        this._detachTail(tail)
+      } else if (this.options.failFast) {
+        this.destroy(err)
+
+        return
+      } else {
+        this.emit('targetError', err, tail.name)
+      }
+
+      start()
+      stop()
+    }).on('close', () => {
+      start()
+      stop()
+    })
+
+    return tail
   }
 
   /**
-   * Check file EOF
-   * @param {Function} cb Callback
+   * End stream once all targets tails stopped, unless new targets may still be found
    * @returns {void}
    */
-  _checkEOFNewline (cb) {
-    this.debug('Checking end of file (EOF)')
+  _endTails () {
+    if (!this._isStopped() && !this.isScanning && this.stoppedTails === this.tails.length) {
+      this.debug('All targets are done')
 
-    const data = this._getFileContent()
-    const lines = data.split(/[\r]{0,1}\n/)
+      this._end()
+    }
+  }
 
-    if (!this.options.follow) {
-      if (lines[lines.length - 1] === '') {
-        this.debug('EOF is a newline')
+  /**
+   * Tail files of a directory (or matching a glob pattern), then merge their data into this stream
+   * While following, directory is scanned at each sleep interval: new files are tailed from their start, deleted files are detached from
+   * @param {Object} options Tail options, passed down to each file tail
+   * @emits Tail#error if directory could not be read
+   * @returns {void}
+   */
+  async _tailDirectory (options) {
+    try {
+      this.target = await this._listDirectory()
+    } catch (err) {
+      this.debug(`Failed to read directory: ${err}`)
+      this.destroy(err)
 
-        this.ignoreEOFNewline = false
-      } else {
-        this.debug('EOF is a line')
-      }
-    } else {
-      this.debug('EOF will be ignored in follow mode')
+      return
+    }
+
+    if (this._isStopped()) {
+      return
     }
 
-    cb()
+    this.isScanning = !!this.options.follow
+    this._tailTargets(options)
+
+    if (this.isScanning) {
+      const fileOptions = Object.assign({}, options, { headers: false, failFast: false, bytes: '+0' })
+
+      this.debug('Setup directory scanning interval')
+
+      this.interval = setInterval(() => {
+        // Scanning takes longer than sleep interval on slow file systems
+        if (!this.isListing) {
+          this._scanDirectory(fileOptions)
+        }
+      }, this.options.sleepInterval)
+    }
   }
 
   /**
-    * Get cursor position
-    * @returns {Number} line starting bytes
-    */
-  _getCursorPos () {
-    this.debug('Get cursor position')
+   * List files of tailed directory matching glob pattern, if any
+   * Hidden files are only listed if pattern explicitly starts with a dot
+   * @throws if directory could not be read
+   * @returns {Promise<Array<String>>} Files paths, sorted by name
+   */
+  async _listDirectory () {
+    const files = (await fs.promises.readdir(this.directory))
+      .filter((file) => this.pattern ? this.pattern.test(file) : file[0] !== '.')
+      .sort()
+      .map((file) => path.join(this.directory, file))
 
-    const data = this._getFileContent()
+    const isFile = await Promise.all(files.map((file) => fs.promises.stat(file).then((stats) => stats.isFile(), () => false)))
 
-    if (this.options.bytes) {
-      let byte
+    return files.filter((file, i) => isFile[i])
+  }
 
-      if (this.options.bytes.toString().includes('+')) {
-        byte = parseInt(this.options.bytes.replace('+', ''), 10)
-      } else {
-        byte = Buffer.byteLength(data) - this.options.bytes
-      }
+  /**
+   * Scan tailed directory for new and deleted files
+   * @param {Object} options New files tail options
+   * @returns {Promise}
+   */
+  async _scanDirectory (options) {
+    if (this.options.pid && !isProcessAlive(this.options.pid)) {
+      this.debug(`Process ${this.options.pid} exited, stop scanning directory`)
+
+      // Files tails stop following on their own
+      this.hasProcessExited = true
+      this.isScanning = false
 
-      this.debug(`Set cursor to byte ${byte}`)
+      clearInterval(this.interval)
+      this._endTails()
 
-      return byte
+      return
     }
 
-    this.debug(`Search byte matching requested line: ${this.options.lines}`)
+    let files
 
-    const lines = data.split(/[\r]{0,1}\n/)
+    this.isListing = true
 
-    if (this.options.lines >= lines.length) {
-      this.debug('Requested line is out of range, set cursor to byte 0')
+    try {
+      files = await this._listDirectory()
+    } catch (err) {
+      this.debug(`Failed to scan directory: ${err}`)
+      this.destroy(err)
 
-      return 0
+      return
+    } finally {
+      this.isListing = false
     }
 
-    const removeLast = this.ignoreEOFNewline ? 1 : 0
-    let searchFrom
-
-    if (this.options.lines.toString().includes('+')) {
-      searchFrom = this.options.lines - removeLast
-    } else {
-      searchFrom = lines.length - this.options.lines - removeLast
+    // Directory tail may have ended while its files were listed
+    if (!this.isScanning || this._isStopped()) {
+      return
     }
 
-    // This RegExp seeks for nth occurence of line separator
-    const match = data.match(new RegExp(`(?:[^\r\n]*[\r]{0,1}\n){${searchFrom}}`))
+    this.tails.filter((tail) => !tail.isDetached && files.indexOf(tail.name) === -1).forEach((tail) => this._detachTail(tail))
+    this.target = this.target.filter((target) => files.indexOf(target) !== -1)
 
-    if (match && match.length) {
-      const bytePosition = Buffer.byteLength(match[0], this.options.encoding)
+    files.filter((file) => this.target.indexOf(file) === -1).forEach((file) => {
+      this.debug(`New file found: ${file}`)
 
-      this.debug(`Set cursor to byte ${bytePosition}`)
+      this.target.push(file)
+      this._attachTail(file, options)
+    })
+  }
+
+  /**
+   * Stop tailing a file which was deleted from tailed directory
+   * @param {Tail} tail File tail
+   * @returns {void}
+   */
+  _detachTail (tail) {
+    if (!tail.isDetached) {
+      this.debug(`Target ${tail.name} was deleted, detach from it`)
+
+      tail.isDetached = true
 
-      // Use full match to calculate starting bytes of requested line
-      return bytePosition
+      this.target = this.target.filter((target) => target !== tail.name)
+
+      tail.destroy()
     }
+  }
 
-    this.debug('Failed to find requested line, set cursor to byte 0')
+  _stopRetry (errMessage) {
+    clearTimeout(this.nextRetryTimeout)
+    clearTimeout(this.abortRetryTimeout)
+
+    this.options.retry = undefined
 
-    return 0
+    this.debug(errMessage)
+    this.destroy(new Error(errMessage))
   }
 
   /**
-    * Read file data line by line
-    * @emits Tail#error if file stat or reading failed
-    * @returns {void}
+    * Check file access, retrying until it is available with retry option
+    * @emits Tail#error if file doesn’t exists or user lack permissions on it
+    * @emits Tail#retry if file is not accessible yet, with retry option
+    * @returns {Promise<Boolean>} indicating file is available or not
     */
-  _readLines () {
-    // Force stream to start reading if it is not explicitly paused AND not flowing
-    // This is needed in order to make follow option working with custom line events
-    // Direct usage of _readableState.flowing is needed because readableFlowing property
-    // was only added from Node v9.4.0
-    if (!this.isPaused() && !(this.readableFlowing || this._readableState.flowing)) {
-      this.resume()
-    }
+  async _checkFile () {
+    // Clear previous nextRetryTimeout
+    clearTimeout(this.nextRetryTimeout)
 
-    let size
+    // Increment retry count or start it at 0
+    this.retryCount = ++this.retryCount || 0
 
     try {
-      if (this.type === 'fd') {
-        this.debug('Get target current size (fd)')
+      if (this.type === 'path') {
+        this.debug('Checking target availability')
 
-        size = fs.fstatSync(this.target).size
-      } else if (this.type === 'path') {
-        this.debug('Get target current size (path)')
+        await fs.promises.access(this.target, fs.constants.F_OK | fs.constants.R_OK)
 
-        size = fs.statSync(this.target).size
+        this.debug('Target is available')
       }
     } catch (err) {
-      this.debug('Failed to get target current size')
-      this.destroy(err)
+      if (!this.options.retry) {
+        this.debug(`Failed to check target availability: ${err}`)
+        this.destroy(err)
 
-      return
-    }
+        return false
+      }
 
-    // Do not read if a reading is in progress
-    if (!this.isReading) {
-      // Only read file if cursor is different than size
-      if (this.cursor !== size) {
-        this.debug(`Current cursor position: ${this.cursor}`)
-        this.debug(`Next cursor position: ${size}`)
+      // Target is only reported once as not accessible, until it becomes accessible again
+      if (this.retryCount === 0) {
+        this.debug(`Target is not accessible, retrying: ${err}`)
+        this.emit('retry', err, this.name)
+      }
 
-        this.isReading = true
+      // Only create abortRetryTimeout once
+      if (this.options.retry.timeout && !this.abortRetryTimeout) {
+        this.abortRetryTimeout = setTimeout(this._stopRetry.bind(this, 'Retry timeout reached'), this.options.retry.timeout)
+      }
 
-        // Handle case where file was truncated (cursor greater than file size)
-        if (this.cursor > size) {
-          this.debug('Target data was truncated')
+      if (this.options.retry.max && this.options.retry.max === this.retryCount) {
+        this._stopRetry('Max retries reached')
 
-          const truncatedMessage = 'better-tail: file truncated'
+        return false
+      }
 
-          this.emit('line', truncatedMessage)
-          this.emit('data', Buffer.from(truncatedMessage, this.options.encoding))
-          this.debug('Cursor position will reset')
+      // Create new nextRetryTimeout, which is cleared if stream is destroyed meanwhile (leaving this promise pending)
+      await new Promise((resolve) => {
+        this.nextRetryTimeout = setTimeout(resolve, this.options.retry.interval || this.options.sleepInterval)
+      })
 
-          // Reset cursor to last N lines
-          this.cursor = this.options.lines <= 0 ? 0 : this._getCursorPos()
+      this.debug('Failed to check target, retrying now…')
 
-          // Reset reading state so it can be read again at next interval tick
-          this.isReading = false
-        } else {
-          this.debug('Read target data')
-
-          let input = this.target
-
-          try {
-            if (this.type === 'fd') {
-              this.debug('Create read stream (fd)')
-
-              input = fs.createReadStream(null, {
-                fd: this.target,
-                encoding: this.options.encoding,
-                start: this.cursor,
-                autoClose: false
-              })
-            } else if (this.type === 'path') {
-              this.debug('Create read stream (path)')
-
-              // We open read stream from last cursor position
-              input = fs.createReadStream(this.target, {
-                flags: 'r',
-                encoding: this.options.encoding,
-                start: this.cursor
-              })
-            }
-          } catch (err) {
-            this.debug(`Error creating read stream: ${err}`)
-            this.destroy(err)
+      return this._checkFile()
+    }
 
-            // Do not go further
-            return
-          }
+    // Clean retry timeouts and reset retry state so that target can be checked again later on
+    clearTimeout(this.nextRetryTimeout)
+    clearTimeout(this.abortRetryTimeout)
 
-          this.rl = readline.createInterface({
-            input
-          }).on('line', this._handleLineEvent).on('close', this._handleCloseEvent)
+    this.retryCount = undefined
+    this.abortRetryTimeout = undefined
 
-          input.on('end', this._handleEndEvent)
-        }
-      }
-    } else {
-      this.debug('Target is already being read')
-    }
+    return !this._isStopped()
   }
 
   /**
-    * Handles readline line event
-    * @param {String} line Line data
-    * @returns {void}
-    */
-  _handleLineEvent (line) {
-    this.emit('line', line)
-    this.emit('data', Buffer.from(line, this.options.encoding))
-  }
+   * Open target path and keep track of the file it points to
+   * @emits Tail#error if target could not be opened
+   * @returns {Promise<Boolean>} indicating target was opened or not
+   */
+  async _openTarget () {
+    this.debug('Open target')
 
-  /**
-    * Handles readline close event
-    * @returns {void}
-    */
-  _handleCloseEvent () {
-    this.debug('Got close event from readline')
+    let fd
 
-    this.isReading = false
+    try {
+      fd = await open(this.target, 'r')
 
-    // readline input.bytesRead counts from stream start, so we need to
-    // add it to current cursor to get new position after reading
-    this.cursor += this.rl.input.bytesRead
-  }
+      const { dev, ino } = await fstat(fd)
 
-  _handleEndEvent () {
-    this.debug('Got end event from input read stream')
+      this.stats = { dev, ino }
+    } catch (err) {
+      this.debug(`Failed to open target: ${err}`)
+      this.destroy(err)
 
-    if (!this.ignoreEOFNewline) {
-      this.emit('line', '')
-      this.emit('data', Buffer.from('', this.options.encoding))
+      if (fd !== undefined) {
+        close(fd).catch(() => {})
+      }
+
+      return false
+    }
+
+    // Stream was destroyed while target was being opened, there is nothing left to close it
+    if (this._isStopped()) {
+      await close(fd)
+
+      return false
+    }
+
+    this.fd = fd
+
+    return true
+  }
+
+  /**
+   * Close target file descriptor opened by _openTarget
+   * @returns {void}
+   */
+  _closeTarget () {
+    if (this.fd !== undefined) {
+      this.debug('Close target')
+
+      close(this.fd).catch((err) => {
+        this.debug(`Failed to close target: ${err}`)
+      })
+
+      this.fd = undefined
+    }
+  }
+
+  /**
+   * Check if target path now points to another file (ie. it was rotated)
+   * Must only be called once current file has been fully read
+   * @emits Tail#rotate if target path points to a new file
+   * @emits Tail#error if target could not be stat or reopened
+   * @returns {Promise}
+   */
+  async _checkRotation () {
+    try {
+      const { dev, ino } = await fs.promises.stat(this.target)
+
+      if (dev === this.stats.dev && ino === this.stats.ino) {
+        return
+      }
+
+      this.debug('Target path points to a new file')
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.debug(`Failed to stat target: ${err}`)
+        this.destroy(err)
+
+        return
+      }
+
+      this.debug('Target path is missing')
+    }
+
+    // Prevent reading until new file is available
+    this.cursor = undefined
+
+    this._closeTarget()
+
+    // New file may take a while to be available (retry option), target is not being read meanwhile
+    this._reopenTarget().catch((err) => this.destroy(err))
+  }
+
+  /**
+   * Open new file target path points to, once it is available, then read it from its start
+   * @emits Tail#rotate once new file is opened
+   * @emits Tail#error if target could not be opened
+   * @returns {Promise}
+   */
+  async _reopenTarget () {
+    if (!(await this._checkFile()) || !(await this._openTarget())) {
+      return
+    }
+
+    this.debug('Target was rotated, set cursor to byte 0')
+
+    this.cursor = 0
+
+    await this._resetLineNumber()
+
+    if (this._isStopped()) {
+      return
+    }
+
+    // Previous watcher was watching rotated file
+    if (this.watcher) {
+      this._unwatch()
+
+      if (!this._watch()) {
+        this._poll()
+      }
+    }
+
+    this.emit('rotate', this.name)
+
+    this._readLines()
+  }
+
+  /**
+   * Run given function against target file descriptor, opening and closing it if target is a path not opened yet
+   * @param {Function} fn Function receiving target file descriptor and size, possibly returning a promise
+   * @throws if target could not be opened or stat
+   * @returns {Promise<any>} Given function result
+   */
+  async _withFileDescriptor (fn) {
+    const handle = this.type === 'path' && this.fd === undefined ? await fs.promises.open(this.target, 'r') : undefined
+    let fd = this.type === 'fd' ? this.target : this.fd
+
+    if (handle) {
+      fd = handle.fd
+    }
+
+    try {
+      return await fn(fd, (await fstat(fd)).size)
+    } finally {
+      if (handle) {
+        await handle.close()
+      }
+    }
+  }
+
+  /**
+   * Check file EOF
+   * @emits Tail#error if target could not be read
+   * @returns {Promise<Boolean>} indicating check succeeded or not
+   */
+  async _checkEOFNewline () {
+    this.debug('Checking end of file (EOF)')
+
+    if (!this.options.follow && !this.options.raw) {
+      let endsWithNewline
+
+      try {
+        endsWithNewline = await this._withFileDescriptor((fd, size) => endsWith(fd, this._getEndPos(size), this.delimiter))
+      } catch (err) {
+        this.debug(`Failed to check target EOF: ${err}`)
+        this.destroy(err)
+
+        return false
+      }
+
+      if (endsWithNewline) {
+        this.debug('EOF is a newline')
+
+        this.ignoreEOFNewline = false
+      } else {
+        this.debug('EOF is a line')
+      }
+    } else {
+      this.debug('EOF will be ignored in follow or raw mode')
+    }
+
+    return !this._isStopped()
+  }
+
+  /**
+    * Get cursor position
+    * Target is read by chunks from its end (or its start for +N lines) until requested line is found
+    * @emits Tail#error if target could not be read
+    * @returns {Promise<Number>} line starting bytes
+    */
+  async _getCursorPos () {
+    this.debug('Get cursor position')
+
+    try {
+      return await this._withFileDescriptor(async (fd, fileSize) => {
+        // Initial cursor is set from target size when tail was started, if target did not shrink since
+        const size = this._getEndPos(this.initialSize === undefined ? fileSize : Math.min(fileSize, this.initialSize))
+
+        if (this.options.since) {
+          const since = this.options.since.getTime()
+
+          this.debug(`Search byte matching first line logged since: ${this.options.since.toISOString()}`)
+
+          const byte = await this._seekTimestamp(fd, size, (time) => time >= since)
+
+          this.debug(`Set cursor to byte ${byte}`)
+
+          return byte
+        }
+
+        if (this.options.bytes) {
+          let byte
+
+          if (this.options.bytes.toString().includes('+')) {
+            byte = parseInt(this.options.bytes.replace('+', ''), 10)
+          } else {
+            byte = Math.max(0, size - this.options.bytes)
+          }
+
+          // Lines must not start in the middle of a character, unlike raw bytes
+          if (!this.options.raw) {
+            byte = await seekCharacterStart(fd, size, byte, this.options.encoding)
+          }
+
+          this.debug(`Set cursor to byte ${byte}`)
+
+          return byte
+        }
+
+        this.debug(`Search byte matching requested line: ${this.options.lines}`)
+
+        const lines = parseInt(this.options.lines, 10)
+        let removeLast = this.ignoreEOFNewline ? 1 : 0
+
+        // Raw bytes are output like tail does: a delimiter ending target does not start another line
+        if (this.options.raw) {
+          removeLast = this.options.lines.toString().includes('+') || await endsWith(fd, size, this.delimiter) ? 1 : 0
+        }
+
+        const align = getCodeUnitSize(this.options.encoding)
+        let bytePosition
+
+        if (this.grouper && !this.options.lines.toString().includes('+')) {
+          // Requested line is the first line of nth record from file end
+          let records = 0
+
+          bytePosition = await seekBackwardLine(fd, size, this.delimiter, (buff, lineStart) => {
+            // There is no line after last delimiter
+            if (lineStart === size) {
+              return false
+            }
+
+            records += this.grouper.isStart(this._decodeLine(buff)) ? 1 : 0
+
+            return records === lines
+          }, align)
+        } else if (this.lineFilter && this.options.matchingLines && !this.options.lines.toString().includes('+')) {
+          // Requested line is the nth matching line from file end, preceded by its context lines
+          const before = this.options.before
+          let matches = 0
+          let context = 0
+
+          bytePosition = await seekBackwardLine(fd, size, this.delimiter, (buff, lineStart) => {
+            // There is no line after last delimiter
+            if (lineStart === size) {
+              return false
+            }
+
+            if (matches < lines) {
+              matches += this.lineFilter.test(this._decodeLine(buff)) ? 1 : 0
+
+              return matches === lines && before === 0
+            }
+
+            return ++context === before
+          }, align)
+
+          // Lines preceding first requested matching line are only context lines, even if they match
+          this.lineFilter.skip(matches === lines ? context : 0)
+        } else if (this.options.lines.toString().includes('+')) {
+          // Requested line starts after nth line separator from file start
+          const count = lines - removeLast
+
+          bytePosition = count > 0 ? await seekForward(fd, size, this.delimiter, count, align) : 0
+        } else {
+          // Requested line starts after nth line separator from file end
+          bytePosition = await seekBackward(fd, size, this.delimiter, lines + removeLast, align)
+        }
+
+        if (bytePosition === -1) {
+          this.debug('Requested line is out of range, set cursor to byte 0')
+
+          return 0
+        }
+
+        this.debug(`Set cursor to byte ${bytePosition}`)
+
+        return bytePosition
+      })
+    } catch (err) {
+      this.debug(`Failed to get cursor position: ${err}`)
+      this.destroy(err)
+
+      return 0
+    }
+  }
+
+  /**
+   * Set end cursor before first line logged after until option, so that target is not read any further
+   * Until option is ignored while following target, as data keeps being appended to it
+   * @emits Tail#error if target could not be read
+   * @returns {Promise<Boolean>} indicating search succeeded or not
+   */
+  async _checkUntil () {
+    if (!this.options.until || this.options.follow) {
+      return true
+    }
+
+    const until = this.options.until.getTime()
+
+    this.debug(`Search byte matching first line logged after: ${this.options.until.toISOString()}`)
+
+    try {
+      this.endCursor = await this._withFileDescriptor((fd, size) => this._seekTimestamp(fd, size, (time) => time > until))
+    } catch (err) {
+      this.debug(`Failed to search end cursor position: ${err}`)
+      this.destroy(err)
+
+      return false
+    }
+
+    this.debug(`Set end cursor to byte ${this.endCursor}`)
+
+    return !this._isStopped()
+  }
+
+  /**
+   * Get position target is read up to
+   * @param {Number} size Target size in bytes
+   * @returns {Number} End cursor position if target size exceeds it, target size otherwise
+   */
+  _getEndPos (size) {
+    return this.endCursor === undefined ? size : Math.min(size, this.endCursor)
+  }
+
+  /**
+   * Binary search target for first line whose timestamp satisfies given function
+   * @param {Number} fd File descriptor to read from
+   * @param {Number} size Target size in bytes
+   * @param {Function} isAfter Function called with line timestamps in milliseconds, returning whether line was logged after searched time
+   * @returns {Promise<Number>} Line starting bytes, or target size if there is none
+   */
+  _seekTimestamp (fd, size, isAfter) {
+    return seekTimestamp(fd, size, this.delimiter, (buff) => {
+      const time = this.parseTimestamp(this._decodeLine(buff))
+
+      return time === undefined ? undefined : isAfter(time)
+    }, getCodeUnitSize(this.options.encoding))
+  }
+
+  /**
+   * Decode line read from target, without its delimiter
+   * @param {Buffer} buff Line bytes
+   * @returns {String}
+   */
+  _decodeLine (buff) {
+    const cr = getDelimiter(this.options.encoding, '\r')
+
+    // Default delimiter may be preceded by a carriage return, which is removed before decoding as binary-to-text encodings would hide it
+    if (this.options.delimiter === undefined && buff.length >= cr.length && buff.slice(buff.length - cr.length).equals(cr)) {
+      return buff.slice(0, buff.length - cr.length).toString(this.options.encoding)
+    }
+
+    return buff.toString(this.options.encoding)
+  }
+
+  /**
+   * Detect target encoding from its byte order mark, with auto encoding
+   * @emits Tail#error if target could not be read
+   * @returns {Promise<Boolean>} indicating detection succeeded or not
+   */
+  async _checkEncoding () {
+    if (!this.isDetectingEncoding) {
+      return true
+    }
+
+    try {
+      // Byte order marks are 4 bytes long at most
+      this._detectEncoding(await this._withFileDescriptor((fd, size) => readChunk(fd, 0, Math.min(size, 4))))
+    } catch (err) {
+      this.debug(`Failed to detect target encoding: ${err}`)
+      this.destroy(err)
+
+      return false
+    }
+
+    return !this._isStopped()
+  }
+
+  /**
+   * Detect encoding from given target start
+   * @param {Buffer} buff Target first bytes
+   * @returns {void}
+   */
+  _detectEncoding (buff) {
+    const { encoding, bomLength } = detectEncoding(buff)
+
+    this.debug(`Detected encoding: ${encoding}`)
+
+    this.isDetectingEncoding = false
+    this.hasBOM = bomLength > 0
+    this.options.encoding = encoding
+    this.delimiter = getDelimiter(encoding, this.options.delimiter)
+  }
+
+  /**
+   * Create splitter of target data into lines
+   * @param {Number} offset Byte offset of data start
+   * @param {Function} onLine Function called with each line and its starting byte offset
+   * @returns {LineSplitter}
+   */
+  _createSplitter (offset, onLine) {
+    return new LineSplitter(Object.assign({ bom: this.hasBOM }, this.options), offset, onLine)
+  }
+
+  /**
+   * Set number of line starting at cursor position, by counting lines preceding it
+   * Line numbers are only tracked with object mode
+   * @emits Tail#error if target could not be read
+   * @returns {Promise}
+   */
+  async _resetLineNumber () {
+    if (!this.options.objectMode) {
+      return
+    }
+
+    try {
+      const count = await this._withFileDescriptor((fd) => countSeparators(fd, this.cursor, this.delimiter, getCodeUnitSize(this.options.encoding)))
+
+      this.lineNumber = count + 1
+
+      this.debug(`Line number at cursor: ${this.lineNumber}`)
+    } catch (err) {
+      this.debug(`Failed to count lines: ${err}`)
+      this.destroy(err)
+    }
+  }
+
+  /**
+   * Get position of next line in target, incrementing line number
+   * @param {Number} byteOffset Line starting byte offset in target
+   * @returns {Object} Line byte offset and number (only with object mode)
+   */
+  _getPosition (byteOffset) {
+    const position = {
+      byteOffset,
+      lineNumber: this.lineNumber
+    }
+
+    if (this.lineNumber !== undefined) {
+      this.lineNumber++
+    }
+
+    return position
+  }
+
+  /**
+   * Get cursor position saved in checkpoint, if it still applies to target
+   * Saved position is discarded if target is another file (inode changed) or was truncated since
+   * @emits Tail#error if checkpoint or target could not be read
+   * @returns {Promise<Number|undefined>} Saved cursor position, or undefined if there is none to resume from
+   */
+  async _restoreCheckpoint () {
+    if (!this.checkpoint) {
+      return undefined
+    }
+
+    this.debug('Restore checkpoint')
+
+    try {
+      const state = await this.checkpoint.get(String(this.name))
+
+      if (!state) {
+        this.debug('No checkpoint saved for target')
+
+        return undefined
+      }
+
+      return await this._withFileDescriptor(async (fd, size) => {
+        if (state.ino !== (await fstat(fd)).ino || state.cursor > size) {
+          this.debug('Checkpoint does not match target anymore')
+
+          return undefined
+        }
+
+        this.debug(`Resume from checkpoint, set cursor to byte ${state.cursor}`)
+
+        return state.cursor
+      })
+    } catch (err) {
+      this.debug(`Failed to restore checkpoint: ${err}`)
+      this.destroy(err)
+
+      return undefined
+    }
+  }
+
+  /**
+   * Save current cursor position in checkpoint, along with target inode and size as of last read
+   * Saves are throttled to one per sleep interval, pending one being done once interval elapsed or stream stops
+   * Saves are chained, so that they complete in order and stream end can wait for the last one
+   * @param {Boolean} [force=false] Save at once, even if last save was done less than a sleep interval ago
+   * @emits Tail#error if checkpoint could not be saved
+   * @returns {void}
+   */
+  _saveCheckpoint (force = false) {
+    if (!this.checkpoint || this.cursor === undefined || !this.lastStats) {
+      return
+    }
+
+    const delay = force ? 0 : this.lastCheckpointTime + this.options.sleepInterval - Date.now()
+
+    if (delay > 0) {
+      if (!this.checkpointTimeout) {
+        this.checkpointTimeout = setTimeout(() => this._saveCheckpoint(true), delay)
+      }
+
+      return
+    }
+
+    clearTimeout(this.checkpointTimeout)
+    this.checkpointTimeout = undefined
+    this.lastCheckpointTime = Date.now()
+
+    this.debug(`Save checkpoint at byte ${this.cursor}`)
+
+    const { ino, size } = this.lastStats
+    const state = {
+      cursor: this.cursor,
+      ino,
+      size
+    }
+
+    this.checkpointSave = Promise.resolve(this.checkpointSave)
+      .then(() => this.checkpoint.set(String(this.name), state))
+      .catch((err) => {
+        this.debug(`Failed to save checkpoint: ${err}`)
+        this.destroy(err)
+      })
+  }
+
+  /**
+   * Get compression format of target file, guessed from its magic bytes or its extension
+   * @throws if target could not be read
+   * @returns {Promise<String|undefined>} 'gzip', 'brotli' or undefined if target is not compressed
+   */
+  async _getCompression () {
+    const magicBytes = await this._withFileDescriptor((fd, size) => readChunk(fd, 0, Math.min(size, GZIP_MAGIC_BYTES.length)))
+
+    // Brotli streams have no magic bytes, only extension can tell
+    if (magicBytes.equals(GZIP_MAGIC_BYTES) || (this.type === 'path' && /\.gz$/.test(this.target))) {
+      return 'gzip'
+    } else if (this.type === 'path' && /\.br$/.test(this.target)) {
+      return 'brotli'
+    }
+
+    return undefined
+  }
+
+  /**
+   * Read target through a decompression stream if it is compressed
+   * @emits Tail#error if target could not be read, is followed or compression format is not supported
+   * @returns {Promise<Boolean>} indicating target is compressed (and handled) or not
+   */
+  async _checkCompression () {
+    let compression
+
+    try {
+      compression = await this._getCompression()
+    } catch (err) {
+      this.debug(`Failed to check target compression: ${err}`)
+      this.destroy(err)
+
+      return true
+    }
+
+    if (this._isStopped()) {
+      return true
+    }
+
+    if (!compression) {
+      return false
+    }
+
+    this.debug(`Target is compressed (${compression})`)
+
+    if (this.options.follow) {
+      this.destroy(new Error('Compressed targets cannot be followed'))
+
+      return true
+    }
+
+    if (compression === 'brotli' && !zlib.createBrotliDecompress) {
+      this.destroy(new Error('Brotli decompression is not supported by this Node.js version'))
+
+      return true
+    }
+
+    if (this.type === 'fd') {
+      this.compressedInput = fs.createReadStream(null, {
+        fd: this.target,
+        start: 0,
+        autoClose: false
+      })
+    } else {
+      this.compressedInput = fs.createReadStream(this.target)
+    }
+
+    this.decompressor = compression === 'gzip' ? zlib.createGunzip() : zlib.createBrotliDecompress()
+
+    this.compressedInput.on('error', (err) => {
+      this.debug(`Failed to read compressed target: ${err}`)
+      this.destroy(err)
+    })
+
+    this._readStream(this.compressedInput.pipe(this.decompressor))
+
+    return true
+  }
+
+  /**
+    * Read target stream data line by line
+    * Only requested lines (or bytes) are kept in memory until target stream ends, then they are emitted
+    * In follow mode, or when starting from a given line (or byte), lines are emitted as soon as they are read
+    * @param {Readable} [stream=this.target] Stream to read, defaults to target
+    * @emits Tail#error if target stream emits an error
+    * @returns {void}
+    */
+  _readStream (stream = this.target) {
+    this.debug('Read target stream')
+
+    const { bytes, lines, follow, raw, since, until } = this.options
+    const fromByte = bytes && bytes.toString().includes('+') ? parseInt(bytes.replace('+', ''), 10) : undefined
+    const fromLine = !bytes && lines.toString().includes('+') ? parseInt(lines, 10) : undefined
+    // since option supersedes last lines (or bytes), like it does for files
+    const lastBytes = bytes && fromByte === undefined && !follow && !since ? parseInt(bytes, 10) : undefined
+    const lastN = !bytes && fromLine === undefined && lines > 0 && !follow && !since ? parseInt(lines, 10) : undefined
+    const matching = this.lineFilter && this.options.matchingLines && lastN !== undefined
+    const lastLines = lastN !== undefined && !matching ? new RingBuffer(lastN) : undefined
+    const lastMatches = matching ? new RingBuffer(lastN) : undefined
+    // Raw lines are split without being decoded, keeping their delimiter so that their bytes are emitted unchanged
+    const rawLines = raw && (fromLine !== undefined || lastN !== undefined || this.parseTimestamp !== undefined)
+    // Stream cannot be searched, so lines are dropped until one is logged since requested time; until time is ignored in follow mode
+    const sinceTime = since && since.getTime()
+    const untilTime = until && !follow ? until.getTime() : undefined
+    const chunks = []
+    let chunksLength = 0
+    let lineCount = 0
+    // Lines must not start in the middle of a character, unlike raw bytes
+    let isAligned = raw || fromByte === undefined
+    let isInTimeRange = !since
+    let isPastUntil = false
+
+    this.cursor = 0
+
+    if (this.options.objectMode) {
+      this.lineNumber = 1
+    }
+
+    // Count lines of data which are not read, so that line numbers stay absolute
+    const skipLines = (buff, start) => {
+      if (this.lineNumber !== undefined) {
+        this.lineNumber += countBufferSeparators(buff, this.delimiter, getCodeUnitSize(this.options.encoding), start)
+      }
+    }
+
+    // Timestamp function given in options is called from data handlers, where its errors must destroy stream
+    const parseTimestamp = this.parseTimestamp && this._guard(this.parseTimestamp)
+
+    // Lines without timestamp belong to the record of preceding line
+    const checkTimeRange = (line) => {
+      const time = isPastUntil ? undefined : parseTimestamp(line)
+
+      if (time !== undefined) {
+        isPastUntil = untilTime !== undefined && time > untilTime
+        isInTimeRange = !isPastUntil && (sinceTime === undefined || time >= sinceTime)
+      }
+
+      return isInTimeRange && !this.destroyed
+    }
+
+    const handleRecord = (line, position) => {
+      if (lastLines) {
+        lastLines.push({ line, position })
+      } else if (raw) {
+        this._emitChunk(Buffer.from(line, 'latin1'), this)
+      } else {
+        this._filterLine(line, position)
+      }
+    }
+
+    const handleLine = (line, offset) => {
+      const position = this._getPosition(offset)
+
+      if (this.parseTimestamp && !checkTimeRange(line)) {
+        return
+      }
+
+      // Raw output starts with requested line, like tail does
+      if (fromLine !== undefined && lineCount++ < (raw ? fromLine - 1 : fromLine)) {
+        return
+      }
+
+      if (this.grouper) {
+        this.grouper.write(line, position)
+      } else {
+        handleRecord(line, position)
+      }
+    }
+
+    const createSplitter = () => raw
+      ? new LineSplitter({ encoding: 'latin1', delimiter: this.delimiter, keepDelimiter: true }, fromByte, handleLine)
+      : this._createSplitter(fromByte, handleLine)
+
+    let splitter = createSplitter()
+
+    if (this.grouper) {
+      this.grouper.onRecord = handleRecord
+    }
+
+    if (lastMatches) {
+      let group
+
+      // Keep matching lines with their context, until stream ends
+      this.lineFilter.onLine = (line, position, kind) => {
+        if (kind === 'after') {
+          group.push({ line, position })
+        } else {
+          group = !group || group.isComplete ? [] : group
+
+          group.push({ line, position })
+
+          if (kind === 'match') {
+            group.isComplete = true
+
+            lastMatches.push(group)
+          }
+        }
+      }
+    }
+
+    this._handleStreamData = (chunk) => {
+      let buff = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), this.options.encoding)
+
+      // Splitter depends on encoding detected from first chunk
+      if (this.isDetectingEncoding) {
+        this._detectEncoding(buff)
+
+        splitter = createSplitter()
+      }
+
+      if (fromByte !== undefined && this.cursor < fromByte) {
+        const skipped = Math.min(buff.length, fromByte - this.cursor)
+
+        skipLines(buff.slice(0, skipped), this.cursor)
+
+        this.cursor += skipped
+        buff = buff.slice(skipped)
+      }
+
+      if (!isAligned && buff.length) {
+        const skipped = getCharacterStart(buff, 0, this.options.encoding, this.cursor)
+
+        this.cursor += skipped
+        buff = buff.slice(skipped)
+
+        isAligned = buff.length > 0
+        splitter.offset = this.cursor
+      }
+
+      this.cursor += buff.length
+
+      if (lastBytes !== undefined) {
+        chunks.push(buff)
+        chunksLength += buff.length
+
+        // Drop chunks that are not needed anymore to get last N bytes
+        while (chunks.length && chunksLength - chunks[0].length >= lastBytes) {
+          const dropped = chunks.shift()
+
+          skipLines(dropped, this.cursor - chunksLength)
+
+          chunksLength -= dropped.length
+        }
+      } else if (raw && !rawLines) {
+        this._emitChunk(buff, this)
+      } else {
+        splitter.write(buff)
+      }
+    }
+
+    this._handleStreamEnd = () => {
+      this.debug('Got end event from target stream')
+
+      if (lastBytes !== undefined) {
+        const buff = Buffer.concat(chunks, chunksLength)
+        const start = Math.max(0, chunksLength - lastBytes)
+        const skipped = raw ? start : getCharacterStart(buff, start, this.options.encoding, this.cursor - chunksLength)
+
+        skipLines(buff.slice(0, skipped), this.cursor - chunksLength)
+
+        if (raw && skipped < chunksLength) {
+          this._emitChunk(buff.slice(skipped), this)
+        } else if (!raw) {
+          splitter.offset = this.cursor - chunksLength + skipped
+          splitter.write(buff.slice(skipped))
+        }
+      }
+
+      const offset = splitter.offset
+      const remainder = splitter.end()
+      const endsWithDelimiter = remainder === '' && !follow && !raw && this.cursor > 0
+
+      if (this.grouper) {
+        if (remainder !== '') {
+          handleLine(remainder, offset)
+        }
+
+        this.grouper.flush()
+      } else if (remainder !== '' || endsWithDelimiter) {
+        // Last line is emitted if it is not empty, or if it follows a delimiter (like when reading a file without following it)
+        handleLine(remainder, offset)
+      }
+
+      if (lastLines && raw) {
+        lastLines.toArray().forEach(({ line }) => this._emitChunk(Buffer.from(line, 'latin1'), this))
+      } else if (lastLines) {
+        lastLines.toArray().forEach(({ line, position }) => this._filterLine(line, position))
+      }
+
+      if (lastMatches) {
+        lastMatches.toArray().forEach((group) => {
+          group.forEach(({ line, position }) => this._acceptLine(line, position))
+        })
+      }
+
+      // Empty line following last delimiter is not part of last record, like with file targets
+      if (this.grouper && endsWithDelimiter) {
+        this._filterLine('', this._getPosition(this.cursor))
+      }
+
+      this._end()
+    }
+
+    this._handleStreamError = (err) => {
+      this.debug(`Target stream failed: ${err}`)
+      this.destroy(err)
+    }
+
+    this.stream = stream.on('data', this._handleStreamData)
+      .on('end', this._handleStreamEnd)
+      .on('error', this._handleStreamError)
+
+    this._flow()
+  }
+
+  /**
+    * Read file data line by line
+    * @emits Tail#error if file stat or reading failed
+    * @emits Tail#truncate if target size is lower than cursor position
+    * @returns {void}
+    */
+  _readLines () {
+    this._readTarget().catch((err) => this.destroy(err))
+  }
+
+  /**
+    * Read target data appended since cursor position
+    * Reading state is set before target is stat, so that concurrent calls are postponed until current reading is done
+    * @emits Tail#error if file stat or reading failed
+    * @emits Tail#truncate if target size is lower than cursor position
+    * @returns {Promise}
+    */
+  async _readTarget () {
+    if (this._isStopped()) {
+      return
+    }
+
+    this._flow()
+
+    // Cursor is not set while target is being checked (possibly retrying)
+    if (this.cursor === undefined) {
+      this.debug('Target is not available yet')
+
+      // There is nothing left to drain
+      if (this.hasProcessExited) {
+        this._handleEndEvent()
+      }
+
+      return
+    }
+
+    // Do not read if a reading is in progress
+    if (this.isReading) {
+      this.debug('Target is already being read')
+
+      // Changes notified (or data written before watched process exited) while reading may not have been read, so read again once done
+      if (this.watcher || this.hasProcessExited) {
+        this.hasPendingChange = true
+      }
+
+      return
+    }
+
+    this.isReading = true
+
+    let stats
+
+    try {
+      stats = await this._statTarget()
+    } catch (err) {
+      this.debug('Failed to get target current size')
+      this.isReading = false
+      this.destroy(err)
+
+      return
+    }
+
+    if (this._isStopped()) {
+      return
+    }
+
+    this.lastStats = stats
+
+    // Target is not read past end cursor (set from until option)
+    const size = this._getEndPos(stats.size)
+
+    // Only read file if cursor is different than size
+    if (this.cursor === size) {
+      if (!this.options.follow || this.hasProcessExited) {
+        this.debug('Nothing to read')
+
+        this._handleEndEvent()
+      } else if (this.options.follow === 'name') {
+        await this._checkRotation()
+      }
+
+      this._finishReading()
+
+      return
+    }
+
+    this.debug(`Current cursor position: ${this.cursor}`)
+    this.debug(`Next cursor position: ${size}`)
+
+    // Handle case where file was truncated (cursor greater than file size)
+    if (this.cursor > size) {
+      this.debug('Target data was truncated')
+
+      this.emit('truncate', this.cursor, size, this.name)
+
+      if (this.options.truncateMessage) {
+        this._emitLine('better-tail: file truncated', this)
+      }
+
+      this.debug(`Cursor position will reset (${this.options.truncate})`)
+
+      if (this.options.truncate === 'start') {
+        this.cursor = 0
+      } else if (this.options.truncate === 'end') {
+        this.cursor = size
+      } else {
+        // Reset cursor to last N lines
+        this.cursor = this.options.lines <= 0 && !this.options.bytes ? 0 : await this._getCursorPos()
+      }
+
+      await this._resetLineNumber()
+
+      // Reset reading state so it can be read again at next interval tick
+      this._finishReading()
+
+      return
+    }
+
+    this.debug('Read target data')
+
+    const fd = this.type === 'fd' ? this.target : this.fd
+    // Read stream end position is included, it is only set to stop at end cursor
+    const end = this.endCursor === undefined ? undefined : size - 1
+    let input
+
+    try {
+      if (fd !== undefined) {
+        this.debug('Create read stream (fd)')
+
+        input = fs.createReadStream(null, {
+          fd,
+          start: this.cursor,
+          end,
+          autoClose: false
+        })
+      } else {
+        this.debug('Create read stream (path)')
+
+        // We open read stream from last cursor position
+        input = fs.createReadStream(this.target, {
+          flags: 'r',
+          start: this.cursor,
+          end
+        })
+      }
+    } catch (err) {
+      this.debug(`Error creating read stream: ${err}`)
+      this.destroy(err)
+
+      // Do not go further
+      return
+    }
+
+    // Raw chunks are emitted as they are read
+    const splitter = this.options.raw ? undefined : this._createSplitter(this.cursor, this._handleLineEvent)
+
+    this.input = input.on('data', (chunk) => {
+      if (splitter) {
+        splitter.write(chunk)
+      } else {
+        this._emitChunk(chunk, this)
+      }
+    }).on('end', () => {
+      this._handleInputEnd(splitter)
+    })
+  }
+
+  /**
+    * Get target current stats
+    * @returns {Promise<fs.Stats>}
+    */
+  _statTarget () {
+    if (this.type === 'fd') {
+      this.debug('Get target current size (fd)')
+
+      return fstat(this.target)
+    } else if (this.fd !== undefined) {
+      this.debug('Get target current size (opened path)')
+
+      return fstat(this.fd)
+    }
+
+    this.debug('Get target current size (path)')
+
+    return fs.promises.stat(this.target)
+  }
+
+  /**
+    * Reset reading state, then read target again if changes were notified meanwhile
+    * @returns {void}
+    */
+  _finishReading () {
+    this.isReading = false
+
+    if (this.hasPendingChange) {
+      this.hasPendingChange = false
+
+      this._readLines()
+    }
+  }
+
+  /**
+    * Handles line split from target data
+    * @param {String} line Line data
+    * @param {Number} offset Line starting byte offset in target
+    * @returns {void}
+    */
+  _handleLineEvent (line, offset) {
+    const position = this._getPosition(offset)
+
+    if (this.grouper) {
+      this.grouper.write(line, position)
+    } else {
+      this._filterLine(line, position)
+    }
+  }
+
+  /**
+    * Filter line (or record) with include and exclude options
+    * @param {String} line Line data
+    * @param {Object} position Line position in target
+    * @returns {void}
+    */
+  _filterLine (line, position) {
+    if (this.lineFilter) {
+      this.lineFilter.write(line, position)
+    } else {
+      this._acceptLine(line, position)
+    }
+  }
+
+  /**
+    * Emit line which went through filters, along with its record with json format
+    * @param {String} line Line data
+    * @param {Object} position Line position in target
+    * @returns {void}
+    */
+  _acceptLine (line, position) {
+    // A filter predicate may have failed
+    if (this.destroyed) {
+      return
+    }
+
+    this._emitLine(line, this, position)
+
+    if (this.options.format === 'json') {
+      this._emitRecord(line, position.byteOffset)
+    }
+  }
+
+  /**
+    * Parse line as a JSON record and emit it, blank lines are ignored
+    * @param {String} line Line data
+    * @param {Number} offset Line starting byte offset in target
+    * @emits Tail#record if line is valid JSON
+    * @emits Tail#parseError if line is not valid JSON
+    * @returns {void}
+    */
+  _emitRecord (line, offset) {
+    if (!line.trim()) {
+      return
+    }
+
+    let record
+
+    try {
+      record = JSON.parse(line)
+    } catch (err) {
+      this.debug(`Failed to parse line at byte ${offset}: ${err}`)
+
+      err.line = line
+      err.offset = offset
+
+      this.emit('parseError', err, this.name)
+
+      return
+    }
+
+    this.emit('record', record, this.name)
+  }
+
+  /**
+    * Emit line through line and data events, preceded by a header if it comes from another target than previous line
+    * @param {String} line Line data
+    * @param {Tail} source Tail of target line comes from (targets may share a name, ie. same file given twice)
+    * @param {Object} [position] Line position in target (headers and messages have none)
+    * @returns {void}
+    */
+  _emitLine (line, source, position) {
+    const name = source.name
+
+    if (this.options.headers && source !== this.currentSource) {
+      // Separate headers from previous target lines by an empty line, like tail does
+      if (this.currentSource !== undefined) {
+        this.emit('line', '', name)
+        this._push(this._createData('', name))
+      }
+
+      const header = `==> ${name} <==`
+
+      this.currentSource = source
+
+      this.emit('line', header, name)
+      this._push(this._createData(header, name))
     }
 
-    this.emit('end')
+    this.emit('line', line, name)
+    this._push(this._createData(line, name, position))
+  }
+
+  /**
+    * Emit raw chunk through data event, preceded by a header if it comes from another target than previous chunk
+    * @param {Buffer} chunk Target bytes
+    * @param {Tail} source Tail of target chunk comes from
+    * @returns {void}
+    */
+  _emitChunk (chunk, source) {
+    if (this.options.headers && source !== this.currentSource) {
+      // Separate headers from previous target bytes by a newline, like tail does
+      this._push(Buffer.from(`${this.currentSource === undefined ? '' : '\n'}==> ${source.name} <==\n`))
 
-    if (!this.options.follow) {
-      this.destroy()
+      this.currentSource = source
     }
+
+    this._push(chunk)
   }
 
   /**
-    * Handles stream reading
+    * Push data to stream buffer, pausing target reading while buffer is full until _read is called again
+    * @param {Buffer|Object} data Data event payload
     * @returns {void}
     */
-  _read () {
-    /** Only set interval in follow mode (so stream won’t close)
-      * Also make sure interval has not yet been defined so it won’t be set at each _read call
-      * If not in follow mode, _createReadInterface is called at least once by constructor
-      */
-    if (this.options.follow && (this.interval === undefined || (this.interval && this.interval._destroyed))) {
-      this.debug('Setup interval')
+  _push (data) {
+    if (!this.push(data) && !this.isSourcePaused) {
+      this.debug('Stream buffer is full, pause target reading')
 
-      this.interval = setInterval(() => {
+      this.isSourcePaused = true
+
+      if (this.input) {
+        this.input.pause()
+      }
+
+      if (this.stream) {
+        this.stream.pause()
+      }
+
+      if (this.tails) {
+        this.tails.forEach((tail) => tail.pause())
+      }
+    }
+  }
+
+  /**
+    * Resume target reading paused by _push
+    * @returns {void}
+    */
+  _resumeSource () {
+    if (!this.isSourcePaused) {
+      return
+    }
+
+    this.debug('Stream buffer was drained, resume target reading')
+
+    this.isSourcePaused = false
+
+    if (this.input) {
+      this.input.resume()
+    }
+
+    if (this.stream) {
+      this.stream.resume()
+    }
+
+    // Held targets tails are resumed once previous ones started
+    if (this.tails) {
+      this.tails.filter((tail) => !tail.isHeld).forEach((tail) => tail.resume())
+    }
+  }
+
+  /**
+    * Force stream to start flowing if it is not explicitly paused AND not flowing
+    * This is needed in order to make follow option and backpressure working with custom line events
+    * @returns {void}
+    */
+  _flow () {
+    // Direct usage of _readableState.flowing is needed because readableFlowing property
+    // was only added from Node v9.4.0
+    if (!this.isPaused() && !(this.readableFlowing || this._readableState.flowing)) {
+      this.resume()
+    }
+  }
+
+  /**
+    * Stop reading target, then end stream once its buffered data is consumed and destroy it
+    * @returns {void}
+    */
+  _end () {
+    if (!this.isEnding) {
+      this.isEnding = true
+
+      this._release()
+      this.once('end', () => this.destroy())
+
+      // Line being emitted (ie. when unfollow is called from a line listener) is still pushed before stream end,
+      // which also waits for pending checkpoint save so that next run resumes from where stream ended
+      Promise.resolve(this.checkpointSave).then(() => {
+        if (!this.destroyed) {
+          this.push(null)
+        }
+      })
+    }
+  }
+
+  /**
+    * Wrap function given in options (ie. include predicate), so that an error it throws destroys stream
+    * rather than being thrown from target data handlers
+    * @param {RegExp|Function} pattern Function to wrap; regular expressions are returned as they are
+    * @returns {RegExp|Function}
+    */
+  _guard (pattern) {
+    if (typeof pattern !== 'function') {
+      return pattern
+    }
+
+    return (...args) => {
+      try {
+        return pattern(...args)
+      } catch (err) {
+        this.debug(`Function given in options failed: ${err}`)
+        this.destroy(err)
+
+        return undefined
+      }
+    }
+  }
+
+  /**
+    * Check if stream stopped reading target, either ending or destroyed
+    * Pending asynchronous steps check it so that target is not read once stream stopped
+    * @returns {Boolean}
+    */
+  _isStopped () {
+    return this.destroyed || !!this.isEnding
+  }
+
+  /**
+    * Create data event payload: line encoded to a Buffer, or line object with object mode
+    * @param {String} line Line data
+    * @param {String|Number} name Name of target line comes from
+    * @param {Object} [position] Line position in target
+    * @returns {Buffer|Object}
+    */
+  _createData (line, name, position = {}) {
+    if (!this.options.objectMode) {
+      return Buffer.from(line, this.options.encoding)
+    }
+
+    return {
+      line,
+      byteOffset: position.byteOffset,
+      lineNumber: position.lineNumber,
+      target: name,
+      readAt: position.readAt || new Date()
+    }
+  }
+
+  /**
+    * Handles input read stream end event
+    * @param {LineSplitter} [splitter] Line splitter of input read stream, if not in raw mode
+    * @returns {void}
+    */
+  _handleInputEnd (splitter) {
+    this.debug('Got end event from input read stream')
+
+    // Last line may not be followed by a delimiter
+    if (splitter) {
+      const offset = splitter.offset
+      const line = splitter.end()
+
+      if (line !== '') {
+        this._handleLineEvent(line, offset)
+      }
+    }
+
+    // input.bytesRead counts from stream start, so we need to
+    // add it to current cursor to get new position after reading
+    this.cursor += this.input.bytesRead
+    this.input = undefined
+
+    this._handleEndEvent()
+    this._finishReading()
+  }
+
+  /**
+    * Handles target end
+    * @returns {void}
+    */
+  _handleEndEvent () {
+    this.debug('Target end reached')
+
+    this._saveCheckpoint()
+
+    // Pending record is complete once there is nothing more to read
+    if (this.grouper && (!this.options.follow || this.hasProcessExited)) {
+      this.grouper.flush()
+    }
+
+    // Empty line following last delimiter is not part of last record, but is filtered like any other line
+    if (!this.ignoreEOFNewline) {
+      this._filterLine('', this._getPosition(this.cursor))
+    }
+
+    this.emit('eof', this.name)
+
+    // Stream only ends once target is not followed anymore, so that piped streams are not ended meanwhile
+    if (!this.options.follow || (this.hasProcessExited && !this.hasPendingChange)) {
+      // Stop following once watched process exited
+      this._end()
+    }
+  }
+
+  /**
+    * Handles target watcher change event
+    * @returns {void}
+    */
+  _handleWatchEvent () {
+    this.debug('Got change event from watcher')
+
+    this._readLines()
+  }
+
+  /**
+    * Handles target watcher error event by falling back to polling
+    * @param {Error} err Watcher error
+    * @returns {void}
+    */
+  _handleWatchError (err) {
+    this.debug(`Watcher failed, fallback to polling: ${err}`)
+
+    this._unwatch()
+    this._poll()
+  }
+
+  /**
+    * Watch target for changes
+    * @returns {Boolean} indicating target is being watched or not
+    */
+  _watch () {
+    if (this.type !== 'path') {
+      this.debug('Only path targets can be watched')
+
+      return false
+    }
+
+    try {
+      if (this.options.watch === 'poll') {
+        this.debug('Setup file watcher (fs.watchFile)')
+
+        const target = this.target
+
+        fs.watchFile(target, { interval: this.options.sleepInterval }, this._handleWatchEvent)
+
+        this.watcher = {
+          close: () => fs.unwatchFile(target, this._handleWatchEvent)
+        }
+      } else {
+        this.debug('Setup file watcher (fs.watch)')
+
+        this.watcher = fs.watch(this.target, this._handleWatchEvent).on('error', this._handleWatchError)
+
+        this._poll(this.options.sleepInterval * WATCHED_POLL_FACTOR)
+      }
+    } catch (err) {
+      this.debug(`Failed to watch target: ${err}`)
+
+      return false
+    }
+
+    return true
+  }
+
+  /**
+    * Stop watching target
+    * @returns {void}
+    */
+  _unwatch () {
+    if (this.watcher) {
+      this.debug('Close file watcher')
+      this.watcher.close()
+      this._unpoll()
+
+      this.watcher = undefined
+    }
+  }
+
+  /**
+    * Poll target through shared scheduler, at most each sleep interval
+    * @param {Number} [maxInterval=this.options.sleepInterval] Longest delay between two checks of target
+    * @returns {void}
+    */
+  _poll (maxInterval = this.options.sleepInterval) {
+    this.debug(`Schedule target polling, at most each ${maxInterval}ms`)
+
+    // Scheduler is kept so that polling is stopped on the same one, even if Tail.scheduler was replaced since
+    this.scheduler = this.scheduler || Tail.scheduler
+    this.isPolling = true
+
+    this.scheduler.add(this._pollTarget, maxInterval)
+  }
+
+  /**
+    * Stop polling target
+    * @returns {void}
+    */
+  _unpoll () {
+    if (this.isPolling) {
+      this.debug('Unschedule target polling')
+
+      this.scheduler.remove(this._pollTarget)
+
+      this.isPolling = false
+    }
+  }
+
+  /**
+    * Stat target without blocking, then read it if it changed since last read
+    * Errors and rotations are left to _readLines, which checks target again before reading it
+    * @param {Function} done Callback receiving whether target data changed
+    * @returns {void}
+    */
+  _pollTarget (done) {
+    if (!this._checkProcess()) {
+      done(false)
+
+      return
+    }
+
+    const stat = this.type === 'fd' ? fstat(this.target) : fs.promises.stat(this.target)
+
+    stat.then((stats) => {
+      const hasChanged = this.cursor !== undefined && stats.size !== this.cursor
+      const hasRotated = this.stats !== undefined && (stats.dev !== this.stats.dev || stats.ino !== this.stats.ino)
+
+      if ((hasChanged || hasRotated) && !this._isStopped()) {
         this._readLines()
-      }, this.options.sleepInterval)
+      }
+
+      done(hasChanged)
+    }, () => {
+      if (!this._isStopped()) {
+        this._readLines()
+      }
+
+      done(false)
+    })
+  }
+
+  /**
+    * Check if process given through pid option is still alive, otherwise stop following target once its remaining data is read
+    * @returns {Boolean} indicating following should go on or not
+    */
+  _checkProcess () {
+    if (!this.options.pid || this.hasProcessExited) {
+      return !this.hasProcessExited
+    }
+
+    if (isProcessAlive(this.options.pid)) {
+      return true
+    }
+
+    this.debug(`Process ${this.options.pid} exited, stop following`)
+
+    this.hasProcessExited = true
+
+    clearInterval(this.interval)
+    this._unpoll()
+    this._unwatch()
+    this._readLines()
+
+    return false
+  }
+
+  /**
+    * Watch target for changes, or poll it, in follow mode
+    * Called once target initial data is being read, so that stream won’t close
+    * @returns {void}
+    */
+  _follow () {
+    if (!this.options.follow || this.watcher || this.isPolling || this.hasProcessExited || this._isStopped()) {
+      return
+    }
+
+    if (this.options.watch && this._watch()) {
+      // Watcher does not tick, so watched process is checked at each sleep interval
+      if (this.options.pid) {
+        this.interval = setInterval(this._checkProcess, this.options.sleepInterval)
+      }
+
+      // Read data that may have been appended before watcher was set up
+      this._readLines()
+    } else {
+      this._poll()
     }
   }
 
+  /**
+    * Handles stream reading
+    * @returns {void}
+    */
+  _read () {
+    this._resumeSource()
+  }
+
   /**
     * Handles stream destroying
     * @param {Error} err Possible error
@@ -448,31 +2279,180 @@ class Tail extends Readable {
   _destroy (err, cb) {
     this.debug('Destroy stream')
 
-    // Close readline if it exists
-    if (this.rl) {
-      this.debug('Close readline')
-      this.rl.close()
+    this._release()
+
+    cb(err)
+  }
+
+  /**
+    * Release target resources: read streams, watchers, intervals, file descriptor and targets tails
+    * @returns {void}
+    */
+  _release () {
+    // Stop reading target if a reading is in progress
+    if (this.input && this.isReading) {
+      this.debug('Stop reading target')
+      this.input.pause()
+
+      // Let input stream close target once its pending read is done, unless it is a file descriptor provided by user
+      if (this.type !== 'fd') {
+        this.input.destroy()
+        this.fd = undefined
+      }
     }
 
     // Clear interval if in follow mode
     if (this.options.follow) {
       this.debug('Clear sleep interval')
+      this.isScanning = false
       clearInterval(this.interval)
+      this._unpoll()
+      this._unwatch()
     }
 
-    cb(err)
+    // Clear pending retries
+    clearTimeout(this.nextRetryTimeout)
+    clearTimeout(this.abortRetryTimeout)
+
+    // Save throttled checkpoint at once, so that last read position is not lost
+    if (this.checkpointTimeout) {
+      this._saveCheckpoint(true)
+    }
+
+    if (this.grouper) {
+      this.grouper.stop()
+    }
+
+    this._closeTarget()
+
+    // Stop reading target stream, which is not ours to destroy
+    if (this.stream) {
+      this.debug('Detach from target stream')
+
+      this.stream.removeListener('data', this._handleStreamData)
+        .removeListener('end', this._handleStreamEnd)
+        .removeListener('error', this._handleStreamError)
+        .pause()
+    }
+
+    // Stop decompressing target, leaving file descriptor provided by user open
+    if (this.decompressor) {
+      this.compressedInput.unpipe(this.decompressor)
+      this.decompressor.destroy()
+
+      if (this.type === 'fd') {
+        this.compressedInput.pause()
+      } else {
+        this.compressedInput.destroy()
+      }
+    }
+
+    // Destroy targets tails if tailing multiple targets
+    if (this.tails) {
+      this.tails.forEach((tail) => tail.destroy())
+    }
   }
 
   /**
-    * Stop following file
+    * Stop following file, ending stream once its buffered data is consumed
     * @returns {void}
     */
   unfollow () {
     if (this.options.follow) {
       this.debug('Stop following')
-      this.destroy()
+      this._end()
+    }
+  }
+
+  /**
+    * Iterate over lines until stream is destroyed (ie. target end is reached, or unfollow is called in follow mode)
+    * Stream is paused while lines are not consumed, so that target reading is paused once stream buffer is full
+    * Breaking out of the loop destroys stream
+    * @returns {AsyncIterator<String>}
+    */
+  [Symbol.asyncIterator] () {
+    const lines = []
+    const requests = []
+    let error
+    let done = false
+    let isPausing = false
+
+    // Fulfill pending next() calls with available lines, error or end of iteration
+    const settle = () => {
+      while (requests.length && (lines.length || error || done)) {
+        const { resolve, reject } = requests.shift()
+
+        if (lines.length) {
+          resolve({ value: lines.shift(), done: false })
+        } else if (error) {
+          reject(error)
+
+          error = undefined
+          done = true
+        } else {
+          resolve({ value: undefined, done: true })
+        }
+      }
+    }
+
+    const handleLine = (line) => {
+      lines.push(line)
+      settle()
+
+      if (lines.length >= this.readableHighWaterMark && !isPausing && !this.isPaused()) {
+        this.debug('Lines are not consumed, pause stream')
+
+        isPausing = true
+        this.pause()
+      }
+    }
+
+    const handleError = (err) => {
+      error = err
+      settle()
+    }
+
+    const handleClose = () => {
+      this.removeListener('line', handleLine)
+        .removeListener('error', handleError)
+        .removeListener('close', handleClose)
+
+      done = true
+      settle()
+    }
+
+    this.on('line', handleLine).on('error', handleError).on('close', handleClose)
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        requests.push({ resolve, reject })
+        settle()
+
+        if (isPausing && lines.length < this.readableHighWaterMark) {
+          this.debug('Lines are consumed, resume stream')
+
+          isPausing = false
+          this.resume()
+        }
+      }),
+      return: () => {
+        this.debug('Iteration stopped')
+        this.destroy()
+
+        lines.length = 0
+        done = true
+
+        return Promise.resolve({ value: undefined, done: true })
+      },
+      [Symbol.asyncIterator] () {
+        return this
+      }
     }
   }
 }
 
+/** Scheduler shared by all tails polling their target, which can be replaced (ie. with other options) before tails are created */
+Tail.scheduler = new PollScheduler()
+Tail.PollScheduler = PollScheduler
+
 module.exports = Tail
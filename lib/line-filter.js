@@ -0,0 +1,77 @@
+const RingBuffer = require('./ring-buffer')
+const { testPattern } = require('./utils')
+
+/**
+ * Filter lines like grep does, keeping context lines around matching lines
+ */
+class LineFilter {
+  /**
+   * Create line filter
+   * @param {Object} options Filtering options
+   * @param {Array<RegExp|Function>} [options.include] Lines must match one of these patterns
+   * @param {Array<RegExp|Function>} [options.exclude] Lines must not match any of these patterns
+   * @param {Number} [options.before=0] Number of context lines to keep before matching lines
+   * @param {Number} [options.after=0] Number of context lines to keep after matching lines
+   * @param {Function} onLine Function called with each kept line, its position and its kind ('before', 'match' or 'after')
+   */
+  constructor (options, onLine) {
+    this.include = options.include
+    this.exclude = options.exclude
+    this.beforeLines = options.before ? new RingBuffer(options.before) : undefined
+    this.after = options.after || 0
+    this.afterCount = 0
+    this.contextCount = 0
+    this.onLine = onLine
+  }
+
+  /**
+   * Check if line matches filter
+   * @param {String} line Line to check
+   * @returns {Boolean}
+   */
+  test (line) {
+    if (this.include && !this.include.some((pattern) => testPattern(pattern, line))) {
+      return false
+    }
+
+    return !(this.exclude && this.exclude.some((pattern) => testPattern(pattern, line)))
+  }
+
+  /**
+   * Only keep next lines as context of following matching line, without testing them
+   * @param {Number} count Number of context lines
+   * @returns {void}
+   */
+  skip (count) {
+    this.contextCount = count
+  }
+
+  /**
+   * Filter line, calling onLine function for matching lines and their context
+   * @param {String} line Line to filter
+   * @param {Object} position Line position in target
+   * @returns {void}
+   */
+  write (line, position) {
+    if (this.contextCount === 0 && this.test(line)) {
+      if (this.beforeLines) {
+        this.beforeLines.toArray().forEach((context) => this.onLine(context.line, context.position, 'before'))
+        this.beforeLines = new RingBuffer(this.beforeLines.capacity)
+      }
+
+      this.afterCount = this.after
+      this.onLine(line, position, 'match')
+    } else if (this.contextCount === 0 && this.afterCount > 0) {
+      this.afterCount--
+      this.onLine(line, position, 'after')
+    } else {
+      this.contextCount = Math.max(0, this.contextCount - 1)
+
+      if (this.beforeLines) {
+        this.beforeLines.push({ line, position })
+      }
+    }
+  }
+}
+
+module.exports = LineFilter
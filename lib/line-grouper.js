@@ -0,0 +1,82 @@
+const { testPattern } = require('./utils')
+
+/**
+ * Group lines spanning over a single record (ie. stack traces)
+ */
+class LineGrouper {
+  /**
+   * Create line grouper
+   * @param {Object} options Grouping options
+   * @param {RegExp|Function} [options.start] Pattern matching first line of records
+   * @param {RegExp|Function} [options.continuation] Pattern matching following lines of records
+   * @param {Number} [options.timeout] Flush pending record once no line was written for N milliseconds
+   * @param {String} separator String joining lines of a record
+   * @param {Function} onRecord Function called with each record and its first line position
+   */
+  constructor (options, separator, onRecord) {
+    this.start = options.start
+    this.continuation = options.continuation
+    this.timeout = options.timeout
+    this.separator = separator
+    this.onRecord = onRecord
+    this.lines = []
+  }
+
+  /**
+   * Check if line starts a new record
+   * @param {String} line Line to check
+   * @returns {Boolean}
+   */
+  isStart (line) {
+    return this.start ? testPattern(this.start, line) : !testPattern(this.continuation, line)
+  }
+
+  /**
+   * Add line to pending record, flushing it first if line starts a new one
+   * @param {String} line Line to add
+   * @param {Object} position Line position in target
+   * @returns {void}
+   */
+  write (line, position) {
+    if (this.lines.length && this.isStart(line)) {
+      this.flush()
+    }
+
+    if (!this.lines.length) {
+      this.position = position
+    }
+
+    this.lines.push(line)
+
+    if (this.timeout !== undefined) {
+      clearTimeout(this.timer)
+
+      this.timer = setTimeout(() => this.flush(), this.timeout)
+    }
+  }
+
+  /**
+   * Call onRecord function with pending record, if any
+   * @returns {void}
+   */
+  flush () {
+    this.stop()
+
+    if (this.lines.length) {
+      const record = this.lines.join(this.separator)
+
+      this.lines = []
+      this.onRecord(record, this.position)
+    }
+  }
+
+  /**
+   * Stop waiting to flush pending record
+   * @returns {void}
+   */
+  stop () {
+    clearTimeout(this.timer)
+  }
+}
+
+module.exports = LineGrouper
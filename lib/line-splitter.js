@@ -0,0 +1,122 @@
+const { StringDecoder } = require('string_decoder')
+
+const { escapeRegExp } = require('./utils')
+
+/**
+ * Split decoded data chunks into lines
+ */
+class LineSplitter {
+  /**
+   * Create line splitter
+   * @param {Object} options Splitting options
+   * @param {String} options.encoding Data characters encoding
+   * @param {String|Buffer} [options.delimiter] Line delimiter; defaults to newline, optionally preceded by a carriage return
+   * @param {Boolean} [options.keepDelimiter=false] Keep delimiter at end of lines
+   * @param {Boolean} [options.bom=false] Data starts with a byte order mark, which is not part of first line
+   * @param {Number} [offset=0] Byte offset of data start
+   * @param {Function} onLine Function called with each line and its starting byte offset
+   */
+  constructor (options, offset, onLine) {
+    const { encoding, delimiter, keepDelimiter, bom } = options
+
+    // Binary-to-text encodings are split on raw bytes (decoded to latin1), each line being encoded afterwards
+    this.textEncoding = encoding === 'base64' || encoding === 'hex' ? encoding : undefined
+    this.encoding = this.textEncoding ? 'latin1' : encoding
+    this.offset = offset || 0
+    this.decoder = new StringDecoder(this.encoding)
+    // Capturing delimiter makes split results alternate between lines and delimiters
+    const separator = Buffer.isBuffer(delimiter) ? delimiter.toString(this.encoding) : delimiter
+    this.regexp = separator === undefined ? /(\r?\n)/ : new RegExp(`(${escapeRegExp(separator)})`)
+    // Ending characters of incomplete line which may start a delimiter completed by next chunk
+    this.overlap = (separator === undefined ? 2 : separator.length) - 1
+    this.keepDelimiter = !!keepDelimiter
+    this.skipBOM = !!bom
+    this.onLine = onLine
+    // Incomplete line is kept as chunks, only its ending being searched again for a delimiter
+    this.chunks = []
+    this.remainder = ''
+  }
+
+  /**
+   * Split data chunk, calling onLine function for each complete line
+   * @param {Buffer|String} chunk Data chunk
+   * @returns {void}
+   */
+  write (chunk) {
+    let text = Buffer.isBuffer(chunk) ? this.decoder.write(chunk) : chunk
+
+    if (this.skipBOM && text) {
+      this.skipBOM = false
+
+      if (this.offset === 0 && text.charAt(0) === '\ufeff') {
+        this.offset += Buffer.byteLength(text.charAt(0), this.encoding)
+        text = text.slice(1)
+      }
+    }
+
+    this._split(text)
+  }
+
+  /**
+   * Split remaining data
+   * Last line starts at splitter offset
+   * @returns {String} Last line, which is not followed by a delimiter (possibly empty)
+   */
+  end () {
+    this._split(this.decoder.end())
+
+    const line = this.chunks.join('') + this.remainder
+
+    this.chunks = []
+    this.remainder = ''
+
+    return this._encode(line)
+  }
+
+  /**
+   * Encode line with binary-to-text encoding, if any
+   * @param {String} line Line decoded to latin1 with binary-to-text encodings
+   * @returns {String}
+   */
+  _encode (line) {
+    return this.textEncoding ? Buffer.from(line, 'latin1').toString(this.textEncoding) : line
+  }
+
+  /**
+   * Split given text, keeping its last part until next chunk as it may not be a complete line yet
+   * Only new text and ending of incomplete line are searched, so that long lines are split in linear time
+   * @param {String} text Decoded text
+   * @returns {void}
+   */
+  _split (text) {
+    if (!text) {
+      return
+    }
+
+    const parts = (this.remainder + text).split(this.regexp)
+    const last = parts.pop()
+
+    for (let i = 0; i < parts.length; i += 2) {
+      const offset = this.offset
+      const line = i === 0 && this.chunks.length ? this.chunks.join('') + parts[i] : parts[i]
+
+      if (i === 0) {
+        this.chunks = []
+      }
+
+      this.offset += Buffer.byteLength(line + parts[i + 1], this.encoding)
+
+      this.onLine(this._encode(this.keepDelimiter ? line + parts[i + 1] : line), offset)
+    }
+
+    const length = Math.max(last.length - this.overlap, 0)
+
+    if (length) {
+      this.chunks.push(last.slice(0, length))
+    }
+
+    this.remainder = last.slice(length)
+  }
+}
+
+module.exports = LineSplitter
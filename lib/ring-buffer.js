@@ -0,0 +1,38 @@
+/**
+ * Fixed size buffer only keeping its N last items
+ */
+class RingBuffer {
+  /**
+   * Create ring buffer
+   * @param {Number} capacity Maximum number of items to keep
+   */
+  constructor (capacity) {
+    this.capacity = capacity
+    this.items = []
+    this.start = 0
+  }
+
+  /**
+   * Add an item to buffer, dropping oldest item if buffer is full
+   * @param {any} item Item to add
+   * @returns {void}
+   */
+  push (item) {
+    if (this.items.length < this.capacity) {
+      this.items.push(item)
+    } else {
+      this.items[this.start] = item
+      this.start = (this.start + 1) % this.capacity
+    }
+  }
+
+  /**
+   * Get buffer items, from oldest to newest
+   * @returns {Array}
+   */
+  toArray () {
+    return this.items.slice(this.start).concat(this.items.slice(0, this.start))
+  }
+}
+
+module.exports = RingBuffer
@@ -0,0 +1,184 @@
+/** Default shortest delay between two checks of a busy task, in milliseconds */
+const MIN_INTERVAL = 50
+
+/** Default maximum number of checks running at once */
+const CONCURRENCY = 16
+
+/**
+ * Run asynchronous checks of many tasks (ie. polled targets) from a single timer
+ * Checks are spread over their interval and run with a limited concurrency; tasks reporting changes are checked more often, idle ones back off
+ */
+class PollScheduler {
+  /**
+   * Create poll scheduler
+   * @param {Object} [options] Scheduling options
+   * @param {Number} [options.minInterval=50] Shortest delay between two checks of a busy task, in milliseconds
+   * @param {Number} [options.concurrency=16] Maximum number of checks running at once
+   */
+  constructor (options = {}) {
+    this.minInterval = options.minInterval || MIN_INTERVAL
+    this.concurrency = options.concurrency || CONCURRENCY
+    this.tasks = new Map()
+    this.queue = []
+    this.running = 0
+    this.timeout = undefined
+    this.timeoutAt = Infinity
+  }
+
+  /**
+   * Start checking a task
+   * First check happens at a random time within given interval, so that tasks added at once are not all checked together
+   * @param {Function} check Function checking task, receiving a callback to call with whether task changed since last check
+   * @param {Number} maxInterval Longest delay between two checks of task, in milliseconds
+   * @returns {void}
+   */
+  add (check, maxInterval) {
+    if (this.tasks.has(check)) {
+      return
+    }
+
+    const task = {
+      check,
+      maxInterval,
+      delay: maxInterval,
+      nextCheck: Date.now() + Math.floor(Math.random() * maxInterval),
+      isQueued: false,
+      isRemoved: false
+    }
+
+    this.tasks.set(check, task)
+    this._schedule(task.nextCheck)
+  }
+
+  /**
+   * Stop checking a task
+   * @param {Function} check Function checking task, as given to add method
+   * @returns {void}
+   */
+  remove (check) {
+    const task = this.tasks.get(check)
+
+    if (!task) {
+      return
+    }
+
+    task.isRemoved = true
+
+    this.tasks.delete(check)
+
+    // Do not keep process alive without tasks to check
+    if (!this.tasks.size) {
+      clearTimeout(this.timeout)
+
+      this.timeout = undefined
+      this.timeoutAt = Infinity
+    }
+  }
+
+  /**
+   * Check if a task is being checked
+   * @param {Function} check Function checking task, as given to add method
+   * @returns {Boolean}
+   */
+  has (check) {
+    return this.tasks.has(check)
+  }
+
+  /**
+   * Set timer so that it fires at given time, unless it already fires before
+   * @param {Number} time Timestamp in milliseconds
+   * @returns {void}
+   */
+  _schedule (time) {
+    if (this.timeout !== undefined && this.timeoutAt <= time) {
+      return
+    }
+
+    clearTimeout(this.timeout)
+
+    this.timeoutAt = time
+    this.timeout = setTimeout(() => this._tick(), Math.max(0, time - Date.now()))
+  }
+
+  /**
+   * Queue tasks due for a check, then set timer for next ones
+   * @returns {void}
+   */
+  _tick () {
+    const now = Date.now()
+    let next = Infinity
+
+    this.timeout = undefined
+    this.timeoutAt = Infinity
+
+    for (const task of this.tasks.values()) {
+      if (task.isQueued) {
+        continue
+      }
+
+      if (task.nextCheck <= now) {
+        task.isQueued = true
+
+        this.queue.push(task)
+      } else {
+        next = Math.min(next, task.nextCheck)
+      }
+    }
+
+    this._run()
+
+    if (next !== Infinity) {
+      this._schedule(next)
+    }
+  }
+
+  /**
+   * Run queued checks, up to concurrency limit
+   * @returns {void}
+   */
+  _run () {
+    while (this.running < this.concurrency && this.queue.length) {
+      const task = this.queue.shift()
+
+      if (!task.isRemoved) {
+        this.running++
+
+        this._check(task)
+      }
+    }
+  }
+
+  /**
+   * Run task check, then schedule its next check depending on its activity
+   * @param {Object} task Task to check
+   * @returns {void}
+   */
+  _check (task) {
+    let isDone = false
+
+    task.check((hasChanged) => {
+      if (isDone) {
+        return
+      }
+
+      isDone = true
+
+      this.running--
+
+      task.isQueued = false
+      // Busy tasks are checked twice as often, idle ones twice as rarely, within their maximum interval
+      task.delay = hasChanged
+        ? Math.max(Math.min(this.minInterval, task.maxInterval), Math.floor(task.delay / 2))
+        : Math.min(task.maxInterval, task.delay * 2)
+      task.nextCheck = Date.now() + task.delay
+
+      if (!task.isRemoved) {
+        this._schedule(task.nextCheck)
+      }
+
+      this._run()
+    })
+  }
+}
+
+module.exports = PollScheduler
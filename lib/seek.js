@@ -0,0 +1,331 @@
+const fs = require('fs')
+const { promisify } = require('util')
+
+/** Size of chunks read from target while seeking through it */
+const CHUNK_SIZE = 64 * 1024
+
+/** fs.promises only reads from FileHandle objects, while targets can be raw file descriptors */
+const read = promisify(fs.read)
+
+/**
+ * Read a chunk of given file descriptor
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} start Position to start reading from
+ * @param {Number} end Position to stop reading at (excluded)
+ * @returns {Promise<Buffer>}
+ */
+const readChunk = async (fd, start, end) => {
+  const buff = Buffer.alloc(end - start)
+  const { bytesRead } = await read(fd, buff, 0, buff.length, start)
+
+  return buff.slice(0, bytesRead)
+}
+
+/**
+ * Search backwards from end of file for the nth separator, reading file by fixed-size chunks
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} size File size in bytes
+ * @param {Buffer} separator Separator to search for
+ * @param {Number} count Number of separators to find
+ * @param {Number} [align=1] Only consider separators starting at a multiple of this value (code unit size)
+ * @returns {Promise<Number>} Byte position following the nth separator from end of file, or -1 if not found
+ */
+const seekBackward = async (fd, size, separator, count, align = 1) => {
+  let found = 0
+  let end = size
+
+  while (end > 0) {
+    const start = Math.max(0, end - CHUNK_SIZE)
+    // Read a bit more than chunk size so that separators spanning over two chunks are found
+    const chunk = await readChunk(fd, start, Math.min(size, end + separator.length - 1))
+    let index = chunk.lastIndexOf(separator, end - start - 1)
+
+    while (index !== -1) {
+      if ((start + index) % align === 0) {
+        if (++found === count) {
+          return start + index + separator.length
+        }
+
+        index -= separator.length
+      } else {
+        index--
+      }
+
+      index = index < 0 ? -1 : chunk.lastIndexOf(separator, index)
+    }
+
+    end = start
+  }
+
+  return -1
+}
+
+/**
+ * Search forwards between given positions for separators, reading file by fixed-size chunks
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} start Position to start searching from
+ * @param {Number} end Position to stop searching at (excluded), which separators must end before
+ * @param {Buffer} separator Separator to search for
+ * @param {Number} align Only consider separators starting at a multiple of this value (code unit size)
+ * @param {Function} fn Function called with starting byte position of each separator, until it returns true
+ * @returns {Promise<Number>} Starting byte position of separator for which function returned true, or -1 if not found
+ */
+const scanForward = async (fd, start, end, separator, align, fn) => {
+  let chunkStart = start
+
+  while (chunkStart < end) {
+    const chunkEnd = Math.min(end, chunkStart + CHUNK_SIZE)
+    // Read a bit more than chunk size so that separators spanning over two chunks are found
+    const chunk = await readChunk(fd, chunkStart, Math.min(end, chunkEnd + separator.length - 1))
+    let index = chunk.indexOf(separator)
+
+    while (index !== -1 && chunkStart + index < chunkEnd) {
+      if ((chunkStart + index) % align === 0) {
+        if (fn(chunkStart + index)) {
+          return chunkStart + index
+        }
+
+        index += separator.length
+      } else {
+        index++
+      }
+
+      index = chunk.indexOf(separator, index)
+    }
+
+    chunkStart = chunkEnd
+  }
+
+  return -1
+}
+
+/**
+ * Search forwards from given position (start of file by default) for the nth separator, reading file by fixed-size chunks
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} size File size in bytes
+ * @param {Buffer} separator Separator to search for
+ * @param {Number} count Number of separators to find
+ * @param {Number} [align=1] Only consider separators starting at a multiple of this value (code unit size)
+ * @param {Number} [position=0] Position to start searching from
+ * @returns {Promise<Number>} Byte position following the nth separator from given position, or -1 if not found
+ */
+const seekForward = async (fd, size, separator, count, align = 1, position = 0) => {
+  let found = 0
+  const index = await scanForward(fd, position, size, separator, align, () => ++found === count)
+
+  return index === -1 ? -1 : index + separator.length
+}
+
+/**
+ * Count separators found in a buffer
+ * @param {Buffer} buff Buffer to search in
+ * @param {Buffer} separator Separator to count
+ * @param {Number} [align=1] Only consider separators starting at a multiple of this value (code unit size)
+ * @param {Number} [start=0] Byte position of buffer start, used for alignment
+ * @param {Number} [limit=buff.length] Only consider separators starting before this buffer index
+ * @returns {Number}
+ */
+const countBufferSeparators = (buff, separator, align = 1, start = 0, limit = buff.length) => {
+  let count = 0
+  let index = buff.indexOf(separator)
+
+  while (index !== -1 && index < limit) {
+    if ((start + index) % align === 0) {
+      count++
+      index += separator.length
+    } else {
+      index++
+    }
+
+    index = buff.indexOf(separator, index)
+  }
+
+  return count
+}
+
+/**
+ * Count separators found in a file before given position, reading file by fixed-size chunks
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} end Position to stop counting at (excluded)
+ * @param {Buffer} separator Separator to count
+ * @param {Number} [align=1] Only consider separators starting at a multiple of this value (code unit size)
+ * @returns {Promise<Number>}
+ */
+const countSeparators = async (fd, end, separator, align = 1) => {
+  let count = 0
+
+  await scanForward(fd, 0, end, separator, align, () => {
+    count++
+
+    return false
+  })
+
+  return count
+}
+
+/**
+ * Search backwards from end of file for a line satisfying given function, reading file by fixed-size chunks
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} size File size in bytes
+ * @param {Buffer} separator Line separator
+ * @param {Function} fn Function called with each line (Buffer, without separator) and its starting byte position, from last line to first one, until it returns true
+ * @param {Number} [align=1] Only consider separators starting at a multiple of this value (code unit size)
+ * @returns {Promise<Number>} Starting byte position of line satisfying given function, or -1 if not found
+ */
+const seekBackwardLine = async (fd, size, separator, fn, align = 1) => {
+  // Data from start position up to current line end (excluded separator)
+  let buff = Buffer.alloc(0)
+  let start = size
+
+  while (start > 0) {
+    const chunkStart = Math.max(0, start - CHUNK_SIZE)
+
+    // Keep current line partial data so that lines (and separators) spanning over two chunks are found
+    buff = Buffer.concat([await readChunk(fd, chunkStart, start), buff])
+    start = chunkStart
+
+    let index = buff.length < separator.length ? -1 : buff.lastIndexOf(separator, buff.length - separator.length)
+
+    while (index !== -1) {
+      if ((start + index) % align === 0) {
+        const lineStart = start + index + separator.length
+
+        if (fn(buff.slice(index + separator.length), lineStart)) {
+          return lineStart
+        }
+
+        buff = buff.slice(0, index)
+        index = buff.length < separator.length ? -1 : buff.lastIndexOf(separator, buff.length - separator.length)
+      } else {
+        index = index > 0 ? buff.lastIndexOf(separator, index - 1) : -1
+      }
+    }
+  }
+
+  // First line is not preceded by any separator
+  return fn(buff, 0) ? 0 : -1
+}
+
+/**
+ * Binary search of a file sorted by time for the first line logged at or after a given time
+ * Lines without timestamp are skipped while searching, as they belong to the record of a preceding line
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} size File size in bytes
+ * @param {Buffer} separator Line separator
+ * @param {Function} fn Function called with lines (Buffer, without separator), returning whether line was logged at or after searched time, or undefined if it has no timestamp
+ * @param {Number} [align=1] Only consider separators starting at a multiple of this value (code unit size)
+ * @returns {Promise<Number>} Starting byte position of first line logged at or after searched time, or file size if there is none
+ */
+const seekTimestamp = async (fd, size, separator, fn, align = 1) => {
+  // Get first line with a timestamp starting at or after given position
+  const getLine = async (position) => {
+    let start = position
+
+    if (start > 0) {
+      const next = await seekForward(fd, size, separator, 1, align, Math.max(0, position - separator.length))
+
+      start = next === -1 ? size : next
+    }
+
+    while (start < size) {
+      const next = await seekForward(fd, size, separator, 1, align, start)
+      const isAfter = fn(await readChunk(fd, start, next === -1 ? size : next - separator.length))
+
+      if (isAfter !== undefined) {
+        return { start, isAfter }
+      }
+
+      start = next === -1 ? size : next
+    }
+
+    return { start: size, isAfter: true }
+  }
+
+  let low = 0
+  let high = size
+
+  // Lines with a timestamp starting before lowest position were logged before searched time, the first one following highest position was not
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+    const line = await getLine(middle)
+
+    if (line.isAfter) {
+      high = middle
+    } else {
+      low = line.start + 1
+    }
+  }
+
+  return (await getLine(low)).start
+}
+
+/**
+ * Get index of first character starting at or after given buffer index, so that a multibyte character is not cut
+ * @param {Buffer} buff Buffer to search in
+ * @param {Number} index Buffer index to start from
+ * @param {String} encoding Buffer characters encoding
+ * @param {Number} [start=0] Byte position of buffer start, used for alignment
+ * @returns {Number} Character starting index, or buffer length if there is none
+ */
+const getCharacterStart = (buff, index, encoding, start = 0) => {
+  if (encoding === 'utf8') {
+    // UTF-8 continuation bytes look like 10xxxxxx
+    while (index < buff.length && (buff[index] & 0xc0) === 0x80) {
+      index++
+    }
+  } else if (encoding === 'utf16le' || encoding === 'ucs2') {
+    index += (start + index) % 2
+
+    // Low surrogates (0xdc00 to 0xdfff) end a character started by the previous code unit
+    if (index + 1 < buff.length && (buff[index + 1] & 0xfc) === 0xdc) {
+      index += 2
+    }
+  }
+
+  return Math.min(index, buff.length)
+}
+
+/**
+ * Get position of first character starting at or after given file position, so that a multibyte character is not cut
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} size File size in bytes
+ * @param {Number} position Position to start from
+ * @param {String} encoding File characters encoding
+ * @returns {Promise<Number>} Character starting position
+ */
+const seekCharacterStart = async (fd, size, position, encoding) => {
+  if (position >= size) {
+    return position
+  }
+
+  // Characters span over 4 bytes at most
+  return position + getCharacterStart(await readChunk(fd, position, Math.min(size, position + 4)), 0, encoding, position)
+}
+
+/**
+ * Check if file ends with given separator
+ * @param {Number} fd File descriptor to read from
+ * @param {Number} size File size in bytes
+ * @param {Buffer} separator Separator to check
+ * @returns {Promise<Boolean>}
+ */
+const endsWith = async (fd, size, separator) => {
+  if (size < separator.length) {
+    return false
+  }
+
+  return (await readChunk(fd, size - separator.length, size)).equals(separator)
+}
+
+module.exports = {
+  readChunk,
+  countBufferSeparators,
+  countSeparators,
+  seekBackward,
+  seekBackwardLine,
+  seekForward,
+  seekTimestamp,
+  getCharacterStart,
+  seekCharacterStart,
+  endsWith
+}
@@ -0,0 +1,171 @@
+const http = require('http')
+const { URL } = require('url')
+
+const { escapeRegExp, validateOptions } = require('./utils')
+
+/** Query string parameters passed down to Tail options as they are */
+const QUERY_OPTIONS = ['lines', 'follow', 'before', 'after', 'matchingLines', 'since', 'until', 'timestamp']
+
+/** Query string parameters passed down to Tail options as filters, which can be repeated */
+const QUERY_PATTERNS = ['include', 'exclude']
+
+/**
+ * Get Tail options from request query string
+ * Filters are literal substrings, unless regular expressions are allowed: they could take exponential time to test (ReDoS)
+ * @param {URLSearchParams} query Request query string
+ * @param {Boolean} allowPatterns Filters are regular expressions
+ * @throws if a filter is not a valid regular expression
+ * @returns {Object} Tail options
+ */
+const getQueryOptions = (query, allowPatterns) => {
+  const options = {}
+
+  for (const option of QUERY_OPTIONS) {
+    if (query.has(option)) {
+      options[option] = query.get(option)
+    }
+  }
+
+  for (const option of QUERY_PATTERNS) {
+    if (query.has(option)) {
+      options[option] = query.getAll(option).map((pattern) => new RegExp(allowPatterns ? pattern : escapeRegExp(pattern)))
+    }
+  }
+
+  return options
+}
+
+/**
+ * Write a Server-Sent Event to response
+ * @param {ServerResponse} res Response to write to
+ * @param {String} data Event data
+ * @param {String} [event] Event name, defaults to message on client side
+ * @returns {Boolean} false if response buffer is full
+ */
+const writeEvent = (res, data, event) => {
+  // Each line of data needs its own field, or it would end the event
+  const fields = data.split(/\r\n|\r|\n/).map((line) => `data: ${line}\n`).join('')
+
+  return res.write(`${event ? `event: ${event}\n` : ''}${fields}\n`)
+}
+
+/**
+ * Reply to request with a plain text error
+ * @param {ServerResponse} res Response to write to
+ * @param {Number} statusCode HTTP status code
+ * @param {String} message Error message
+ * @returns {void}
+ */
+const replyError = (res, statusCode, message) => {
+  res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' })
+  res.end(`${message}\n`)
+}
+
+/**
+ * Create an HTTP server streaming lines of whitelisted targets as Server-Sent Events
+ * Each target is requested by its name (ie. GET /app?lines=20&follow=true&include=error)
+ * @param {Function} Tail Tail class used to tail targets
+ * @param {Object} options Server options
+ * @param {Object|Array<String>} options.targets Targets which can be requested, by name; or an array of paths requested by themselves
+ * @param {Number} [options.port] Port to listen on; server is not listening if omitted
+ * @param {String} [options.host=127.0.0.1] Host to listen on
+ * @param {Boolean} [options.allowPatterns=false] Parse include and exclude query string parameters as regular expressions rather than literal substrings
+ * @param {Object} [options.options] Tail options, which lines, follow, include, exclude, before, after, matchingLines, since, until and timestamp query string parameters override
+ * @throws if targets are invalid
+ * @returns {http.Server}
+ */
+const createServer = (Tail, options) => {
+  const { targets, port, host = '127.0.0.1', allowPatterns = false } = options || {}
+
+  if (!targets || typeof targets !== 'object') {
+    throw new Error('Invalid targets provided')
+  }
+
+  const names = Array.isArray(targets) ? targets : Object.keys(targets)
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET') {
+      replyError(res, 405, 'Method not allowed')
+
+      return
+    }
+
+    const url = new URL(req.url, 'http://localhost')
+    let name
+
+    try {
+      name = decodeURIComponent(url.pathname.slice(1))
+    } catch (err) {
+      name = undefined
+    }
+
+    // Only whitelisted targets can be tailed
+    if (names.indexOf(name) === -1) {
+      replyError(res, 404, 'Unknown target')
+
+      return
+    }
+
+    let tailOptions
+
+    try {
+      tailOptions = Object.assign({}, options.options, getQueryOptions(url.searchParams, allowPatterns))
+
+      validateOptions(tailOptions)
+    } catch (err) {
+      replyError(res, 400, err.message)
+
+      return
+    }
+
+    const tail = new Tail(Array.isArray(targets) ? name : targets[name], tailOptions)
+    let isDone = false
+
+    const done = (data, event) => {
+      if (!isDone) {
+        isDone = true
+
+        writeEvent(res, data, event)
+        res.end()
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+
+    tail.on('line', (line) => {
+      // Stop reading target until client catches up
+      if (!writeEvent(res, line) && !tail.isPaused()) {
+        tail.pause()
+        res.once('drain', () => tail.resume())
+      }
+    }).on('error', (err) => {
+      done(err.message, 'error')
+    }).on('close', () => {
+      done('', 'end')
+    })
+
+    // Stop reading target once client went away, so that its file descriptor and intervals are released
+    res.on('close', () => {
+      isDone = true
+
+      if (tail.options.follow) {
+        tail.unfollow()
+      }
+
+      // Lines left in stream buffer have no one to be sent to
+      tail.destroy()
+    })
+  })
+
+  if (port !== undefined) {
+    server.listen(port, host)
+  }
+
+  return server
+}
+
+module.exports = createServer
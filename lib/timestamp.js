@@ -0,0 +1,124 @@
+/** Month abbreviations used by syslog timestamps */
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+/** ISO-8601 date and time, with optional seconds, fraction and time zone (ie. 2020-12-24T14:02:03.042+01:00) */
+const ISO8601_REGEXP = /(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(Z|[+-]\d{2}(?::?\d{2})?)?/i
+
+/** Syslog (RFC 3164) timestamp starting line, optionally preceded by a priority (ie. <34>Dec 24 14:02:03) */
+const SYSLOG_REGEXP = new RegExp(`^(?:<\\d{1,3}>)?(${MONTHS.join('|')}) {1,2}(\\d{1,2}) (\\d{2}):(\\d{2}):(\\d{2})`)
+
+/** One day in milliseconds */
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * Parse first ISO-8601 timestamp found in line
+ * Timestamps without time zone are in local time
+ * @param {String} line Line to parse
+ * @returns {Number|undefined} Timestamp in milliseconds, or undefined if line has none
+ */
+const parseISO8601 = (line) => {
+  const match = ISO8601_REGEXP.exec(line)
+
+  if (!match) {
+    return undefined
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map((value) => Number(value || 0))
+  const milliseconds = Number(`${match[7] || ''}000`.slice(0, 3))
+  const zone = match[8]
+
+  if (!zone) {
+    return new Date(year, month - 1, day, hours, minutes, seconds, milliseconds).getTime()
+  }
+
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds)
+
+  if (zone.toUpperCase() === 'Z') {
+    return time
+  }
+
+  // Time zone offset is either +hh, +hhmm or +hh:mm
+  const digits = zone.slice(1).replace(':', '')
+  const offset = Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2) || 0)
+
+  return time - (zone[0] === '-' ? -offset : offset) * 60 * 1000
+}
+
+/**
+ * Parse syslog timestamp starting line
+ * Timestamps are in local time and have no year: current one is assumed, unless it would be more than a day in the future
+ * @param {String} line Line to parse
+ * @returns {Number|undefined} Timestamp in milliseconds, or undefined if line has none
+ */
+const parseSyslog = (line) => {
+  const match = SYSLOG_REGEXP.exec(line)
+
+  if (!match) {
+    return undefined
+  }
+
+  const [day, hours, minutes, seconds] = match.slice(2, 6).map(Number)
+  const now = new Date()
+  const date = new Date(now.getFullYear(), MONTHS.indexOf(match[1]), day, hours, minutes, seconds)
+
+  // Logs written last december are read in january
+  if (date.getTime() > now.getTime() + DAY) {
+    date.setFullYear(date.getFullYear() - 1)
+  }
+
+  return date.getTime()
+}
+
+/** Built-in timestamp parsers, by format name */
+const PARSERS = {
+  iso8601: parseISO8601,
+  syslog: parseSyslog
+}
+
+/**
+ * Cast a date, a timestamp in milliseconds or a date string to a timestamp in milliseconds
+ * @param {Date|Number|String} value Value to cast
+ * @returns {Number} Timestamp in milliseconds, NaN if value is not a valid date
+ */
+const castTime = (value) => {
+  if (value instanceof Date) {
+    return value.getTime()
+  } else if (typeof value === 'number') {
+    return value
+  } else if (typeof value === 'string' && value.trim() !== '') {
+    return isNaN(value) ? Date.parse(value) : Number(value)
+  }
+
+  return NaN
+}
+
+/**
+ * Check if given value is a timestamp parser: a built-in format name or a function
+ * @param {any} parser Value to check
+ * @returns {Boolean}
+ */
+const isTimestampParser = (parser) => typeof parser === 'function' || Object.prototype.hasOwnProperty.call(PARSERS, parser)
+
+/**
+ * Create function extracting timestamps from lines
+ * @param {String|Function} parser Built-in format name, or function returning line timestamp (as a date or milliseconds)
+ * @returns {Function} Function returning line timestamp in milliseconds, or undefined if line has none
+ */
+const createTimestampParser = (parser) => {
+  if (typeof parser !== 'function') {
+    return PARSERS[parser]
+  }
+
+  return (line) => {
+    const value = parser(line)
+    const time = value === undefined || value === null ? NaN : castTime(value)
+
+    return isNaN(time) ? undefined : time
+  }
+}
+
+module.exports = {
+  castTime,
+  isTimestampParser,
+  createTimestampParser
+}
@@ -1,4 +1,13 @@
 const fs = require('fs')
+const { Readable } = require('stream')
+const { promisify } = require('util')
+
+const { castTime, isTimestampParser } = require('./timestamp')
+
+/** fs.promises only handles FileHandle objects, while targets (and read streams) use raw file descriptors */
+const open = promisify(fs.open)
+const close = promisify(fs.close)
+const fstat = promisify(fs.fstat)
 
 /** Encodings supported by Node
  * @see https://nodejs.org/api/buffer.html#buffer_buffers_and_character_encodings
@@ -15,6 +24,25 @@ const VALID_ENCODINGS = [
   'ucs2'
 ]
 
+/** Byte order marks detected with auto encoding, by encoding */
+const BYTE_ORDER_MARKS = {
+  utf8: Buffer.from([0xef, 0xbb, 0xbf]),
+  utf16le: Buffer.from([0xff, 0xfe])
+}
+
+/** Formats lines can be parsed as */
+const FORMATS = [
+  'text',
+  'json'
+]
+
+/** Positions reading can resume from once target was truncated */
+const TRUNCATE_MODES = [
+  'lines',
+  'start',
+  'end'
+]
+
 /**
  * Cast a given value to boolean, supporting string boolean values ('true', 'false')
  * @param {String|Boolean} value Value to cast to boolean
@@ -33,25 +61,31 @@ const castBoolean = (value) => {
 
 /**
  * Validate that given encoding is supported
- * @param {String} encoding Encoding to validate
+ * @param {String} encoding Encoding to validate; 'auto' is supported too
  * @throws if encoding is not a string or not supported
  * @returns {void}
  */
 const validateEncoding = (encoding) => {
   if (typeof encoding !== 'string') {
     throw new Error('Encoding is not a string')
-  } else if (VALID_ENCODINGS.indexOf(encoding) === -1) {
+  } else if (VALID_ENCODINGS.indexOf(encoding) === -1 && encoding !== 'auto') {
     throw new Error('Provided value is not a valid encoding')
   }
 }
 
 /**
  * Throw option validation error
+ * Error exposes option name and original value through its `option` and `value` properties
  * @param {String} option Option that throws
  * @param {any} original Option original value
  */
 const throwError = (option, original) => {
-  throw new Error(`Invalid value provided to ${option} option: ${original}`)
+  const err = new Error(`Invalid value provided to ${option} option: ${original}`)
+
+  err.option = option
+  err.value = original
+
+  throw err
 }
 
 /**
@@ -67,7 +101,20 @@ const validateOptions = (options) => {
     lines: 10,
     retry: false,
     sleepInterval: 1000,
-    encoding: 'utf8'
+    watch: false,
+    truncate: 'lines',
+    truncateMessage: false,
+    encoding: 'utf8',
+    keepDelimiter: false,
+    format: 'text',
+    before: 0,
+    after: 0,
+    matchingLines: false,
+    headers: false,
+    failFast: false,
+    objectMode: false,
+    raw: false,
+    timestamp: 'iso8601'
   }, options)
 
   // bytes option has no default, we need to make sure it is present before checking it
@@ -75,10 +122,14 @@ const validateOptions = (options) => {
     throwError('bytes', castedOptions.bytes)
   }
 
-  try {
-    castedOptions.follow = castBoolean(castedOptions.follow)
-  } catch (err) {
-    throwError('follow', castedOptions.follow)
+  if (castedOptions.follow === 'descriptor') {
+    castedOptions.follow = true
+  } else if (castedOptions.follow !== 'name') {
+    try {
+      castedOptions.follow = castBoolean(castedOptions.follow)
+    } catch (err) {
+      throwError('follow', castedOptions.follow)
+    }
   }
 
   if (isNaN(castedOptions.lines)) {
@@ -111,25 +162,159 @@ const validateOptions = (options) => {
     throwError('sleepInterval', castedOptions.sleepInterval)
   }
 
+  if (castedOptions.watch !== 'poll') {
+    try {
+      castedOptions.watch = castBoolean(castedOptions.watch)
+    } catch (err) {
+      throwError('watch', castedOptions.watch)
+    }
+  }
+
   try {
     validateEncoding(castedOptions.encoding)
   } catch (err) {
     throwError('encoding', castedOptions.encoding)
   }
 
+  // delimiter option has no default, we need to make sure it is present before checking it
+  if (castedOptions.delimiter !== undefined &&
+    !((typeof castedOptions.delimiter === 'string' || Buffer.isBuffer(castedOptions.delimiter)) && castedOptions.delimiter.length)) {
+    throwError('delimiter', castedOptions.delimiter)
+  }
+
+  try {
+    castedOptions.keepDelimiter = castBoolean(castedOptions.keepDelimiter)
+  } catch (err) {
+    throwError('keepDelimiter', castedOptions.keepDelimiter)
+  }
+
+  if (FORMATS.indexOf(castedOptions.format) === -1) {
+    throwError('format', castedOptions.format)
+  }
+
+  try {
+    castedOptions.headers = castBoolean(castedOptions.headers)
+  } catch (err) {
+    throwError('headers', castedOptions.headers)
+  }
+
+  try {
+    castedOptions.failFast = castBoolean(castedOptions.failFast)
+  } catch (err) {
+    throwError('failFast', castedOptions.failFast)
+  }
+
+  try {
+    castedOptions.objectMode = castBoolean(castedOptions.objectMode)
+  } catch (err) {
+    throwError('objectMode', castedOptions.objectMode)
+  }
+
+  try {
+    castedOptions.raw = castBoolean(castedOptions.raw)
+  } catch (err) {
+    throwError('raw', castedOptions.raw)
+  }
+
+  if (TRUNCATE_MODES.indexOf(castedOptions.truncate) === -1) {
+    throwError('truncate', castedOptions.truncate)
+  }
+
+  try {
+    castedOptions.truncateMessage = castBoolean(castedOptions.truncateMessage)
+  } catch (err) {
+    throwError('truncateMessage', castedOptions.truncateMessage)
+  }
+
+  // include and exclude options have no default, they are casted to arrays of patterns
+  for (const option of ['include', 'exclude']) {
+    if (castedOptions[option] !== undefined) {
+      const patterns = [].concat(castedOptions[option])
+
+      if (!patterns.length || !patterns.every(isPattern)) {
+        throwError(option, castedOptions[option])
+      }
+
+      castedOptions[option] = patterns
+    }
+  }
+
+  for (const option of ['before', 'after']) {
+    if (!Number.isInteger(Number(castedOptions[option])) || Number(castedOptions[option]) < 0) {
+      throwError(option, castedOptions[option])
+    }
+
+    castedOptions[option] = Number(castedOptions[option])
+  }
+
+  try {
+    castedOptions.matchingLines = castBoolean(castedOptions.matchingLines)
+  } catch (err) {
+    throwError('matchingLines', castedOptions.matchingLines)
+  }
+
+  // multiline option has no default, it needs either a start or a continuation pattern
+  if (castedOptions.multiline !== undefined) {
+    const { start, continuation, timeout = 1000 } = castedOptions.multiline || {}
+
+    if ((start === undefined) === (continuation === undefined) || !isPattern(start || continuation) ||
+      !Number.isInteger(Number(timeout)) || Number(timeout) < 0) {
+      throwError('multiline', castedOptions.multiline)
+    }
+
+    castedOptions.multiline = {
+      start,
+      continuation,
+      timeout: Number(timeout)
+    }
+  }
+
+  // pid option has no default, we need to make sure it is present before checking it
+  if (castedOptions.pid !== undefined) {
+    if (!Number.isInteger(Number(castedOptions.pid)) || Number(castedOptions.pid) <= 0) {
+      throwError('pid', castedOptions.pid)
+    }
+
+    castedOptions.pid = Number(castedOptions.pid)
+  }
+
+  // since and until options have no default, they are casted to dates
+  for (const option of ['since', 'until']) {
+    if (castedOptions[option] !== undefined) {
+      const time = castTime(castedOptions[option])
+
+      if (isNaN(time)) {
+        throwError(option, castedOptions[option])
+      }
+
+      castedOptions[option] = new Date(time)
+    }
+  }
+
+  if (!isTimestampParser(castedOptions.timestamp)) {
+    throwError('timestamp', castedOptions.timestamp)
+  }
+
+  // checkpoint option has no default, it is either a file path or a store object
+  if (castedOptions.checkpoint !== undefined &&
+    !(typeof castedOptions.checkpoint === 'string' && castedOptions.checkpoint.length) &&
+    !(castedOptions.checkpoint && typeof castedOptions.checkpoint.get === 'function' && typeof castedOptions.checkpoint.set === 'function')) {
+    throwError('checkpoint', castedOptions.checkpoint)
+  }
+
   return castedOptions
 }
 
 /**
  * Check if given fd is a valid file descriptor
  * @param {Number} fd File descriptor
- * @throws original fs.fstatSync error
- * @returns {Boolean} indicating fd is valid or not
+ * @throws original fs.fstat error
+ * @returns {Promise<Number|Boolean>} File descriptor, or false if fd is not valid
  */
-const getFileDescriptor = (fd) => {
+const getFileDescriptor = async (fd) => {
   if (fd && typeof fd === 'number') {
     try {
-      fs.fstatSync(fd)
+      await fstat(fd)
 
       return fd
     } catch (err) {
@@ -146,6 +331,166 @@ const getFileDescriptor = (fd) => {
   return false
 }
 
+/**
+ * Check if given value is a readable stream
+ * @param {any} stream Value to check
+ * @returns {Boolean}
+ */
+const isReadableStream = (stream) => stream instanceof Readable ||
+  (!!stream && typeof stream.on === 'function' && typeof stream.read === 'function' && typeof stream.pipe === 'function')
+
+/**
+ * Check if given path points to a directory
+ * @param {String} path Path to check
+ * @returns {Promise<Boolean>}
+ */
+const isDirectory = async (path) => {
+  try {
+    return (await fs.promises.stat(path)).isDirectory()
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Check if given path exists
+ * @param {String} path Path to check
+ * @returns {Promise<Boolean>}
+ */
+const exists = async (path) => {
+  try {
+    await fs.promises.access(path)
+
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Check if given path is a glob pattern
+ * @param {String} str Path to check
+ * @returns {Boolean}
+ */
+const isGlob = (str) => /[*?[]/.test(str)
+
+/**
+ * Escape RegExp special characters of given string
+ * @param {String} str String to escape
+ * @returns {String}
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Convert glob pattern of a file name to a regular expression
+ * Supports `*` (any characters), `?` (a single character) and `[...]` (a character class, negated with `[!...]`)
+ * @param {String} glob Glob pattern
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+  let source = ''
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    // Closing bracket right after opening one is part of the character class
+    const classEnd = char === '[' ? glob.indexOf(']', i + 2) : -1
+
+    if (char === '*') {
+      source += '.*'
+    } else if (char === '?') {
+      source += '.'
+    } else if (classEnd !== -1) {
+      const characters = glob.slice(i + 1, classEnd).replace(/\\/g, '\\\\')
+
+      source += characters[0] === '!' ? `[^${characters.slice(1)}]` : `[${characters}]`
+      i = classEnd
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Check if process with given ID is alive
+ * @param {Number} pid Process ID
+ * @returns {Boolean}
+ */
+const isProcessAlive = (pid) => {
+  try {
+    process.kill(pid, 0)
+
+    return true
+  } catch (err) {
+    // Process exists but we lack permissions to signal it
+    return err.code === 'EPERM'
+  }
+}
+
+/**
+ * Get size in bytes of a single code unit for given encoding
+ * @param {String} encoding Target encoding
+ * @returns {Number}
+ */
+const getCodeUnitSize = (encoding) => encoding === 'utf16le' || encoding === 'ucs2' ? 2 : 1
+
+/**
+ * Check if given value is a pattern: a regular expression or a predicate function
+ * @param {any} pattern Value to check
+ * @returns {Boolean}
+ */
+const isPattern = (pattern) => pattern instanceof RegExp || typeof pattern === 'function'
+
+/**
+ * Check if line matches a pattern
+ * @param {RegExp|Function} pattern Regular expression or predicate
+ * @param {String} line Line to check
+ * @returns {Boolean}
+ */
+const testPattern = (pattern, line) => {
+  if (typeof pattern === 'function') {
+    return !!pattern(line)
+  }
+
+  // Global and sticky regular expressions keep state between tests
+  pattern.lastIndex = 0
+
+  return pattern.test(line)
+}
+
+/**
+ * Detect encoding of data from its byte order mark
+ * @param {Buffer} buff Data start
+ * @returns {Object} Detected encoding (defaults to utf8) and byte order mark length
+ */
+const detectEncoding = (buff) => {
+  for (const encoding of Object.keys(BYTE_ORDER_MARKS)) {
+    const bom = BYTE_ORDER_MARKS[encoding]
+
+    if (buff.length >= bom.length && buff.slice(0, bom.length).equals(bom)) {
+      return { encoding, bomLength: bom.length }
+    }
+  }
+
+  return { encoding: 'utf8', bomLength: 0 }
+}
+
+/**
+ * Get line delimiter bytes for given encoding
+ * @param {String} encoding Target encoding
+ * @param {String|Buffer} [delimiter=\n] Line delimiter
+ * @returns {Buffer}
+ */
+const getDelimiter = (encoding, delimiter = '\n') => {
+  if (Buffer.isBuffer(delimiter)) {
+    return delimiter
+  }
+
+  // Binary-to-text encodings do not apply to delimiter characters
+  return Buffer.from(delimiter, encoding === 'base64' || encoding === 'hex' ? 'utf8' : encoding)
+}
+
 /**
  * Get debugging function
  * @param {Boolean|Function} debug If true, will set debugger to `console.debug`; if function, will set debugger to this function;
@@ -166,6 +511,20 @@ const createDebugger = (debug) => {
 
 module.exports = {
   validateOptions,
+  open,
+  close,
+  fstat,
   getFileDescriptor,
+  getCodeUnitSize,
+  getDelimiter,
+  detectEncoding,
+  isReadableStream,
+  isDirectory,
+  exists,
+  isGlob,
+  escapeRegExp,
+  globToRegExp,
+  isProcessAlive,
+  testPattern,
   createDebugger
 }
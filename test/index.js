@@ -1,8 +1,12 @@
 /* eslint-disable */
 const chai = require('chai')
+const { execFile, spawn } = require('child_process')
 const { EventEmitter } = require('events')
+const { PassThrough, Writable, pipeline } = require('stream')
 const fs = require('fs')
+const http = require('http')
 const path = require('path')
+const zlib = require('zlib')
 
 const expect = chai.expect
 const Tail = require('../lib/index.js')
@@ -83,6 +87,24 @@ const getReceivedLogPath = () => path.resolve(__dirname, `${curTest}_received.lo
  */
 const getExpectedLogPath = () => path.resolve(__dirname, `${curTest}_expected.log`)
 
+/**
+ * Write data to current test expected log, then read its lines at once
+ * @param {String} data Log content
+ * @param {Object} options Tail options
+ * @returns {Promise<Array<String>>}
+ */
+const readLog = (data, options) => {
+    const expectedLogPath = getExpectedLogPath()
+
+    fs.writeFileSync(expectedLogPath, data)
+
+    return Tail.read(expectedLogPath, options).then((lines) => {
+        fs.unlinkSync(expectedLogPath)
+
+        return lines
+    })
+}
+
 describe('better-tail', function () {
     // Set paths to files used by tests
     const paths = {
@@ -162,6 +184,10 @@ describe('better-tail', function () {
             test(corpus.rs, done)
         })
 
+        it('should work with readable stream', function (done) {
+            test(fs.createReadStream(corpus.path), done)
+        })
+
         it('should emit line already encoded', function (done) {
             const lines = []
 
@@ -212,6 +238,10 @@ describe('better-tail', function () {
             test(corpus.rs, done)
         })
 
+        it('should work with readable stream', function (done) {
+            test(fs.createReadStream(corpus.path), done)
+        })
+
         it('should superseed lines option', function (done) {
             test(corpus.path, done, { lines: 42 })
         })
@@ -263,6 +293,10 @@ describe('better-tail', function () {
         it('should work with file read stream', function (done) {
             test(corpus.rs, done)
         })
+
+        it('should work with readable stream', function (done) {
+            test(fs.createReadStream(corpus.path), done)
+        })
     })
 
     describe('lines option (last lines)', function () {
@@ -309,6 +343,38 @@ describe('better-tail', function () {
             test(corpus.rs, done)
         })
 
+        it('should work with readable stream', function (done) {
+            test(fs.createReadStream(corpus.path), done)
+        })
+
+        it('should work with multibyte encoding', function (done) {
+            const expectedLogPath = getExpectedLogPath()
+            const contentLines = []
+
+            for (let i = 0; i < 20; i++) {
+                contentLines.push(`${i} ${randomString(50)} ✓`)
+            }
+
+            fs.writeFileSync(expectedLogPath, `${contentLines.join('\r\n')}\r\n`, { encoding: 'utf16le' })
+
+            const lines = []
+
+            new Tail(expectedLogPath, {
+                lines: 3,
+                encoding: 'utf16le'
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(contentLines.slice(-2).concat(''))
+
+                if (!DEB_BUFF) {
+                    fs.unlinkSync(expectedLogPath)
+                }
+
+                done()
+            })
+        })
+
         it('should fail with invalid value', function (done) {
             new Tail(corpus.path, {
                 lines: {}
@@ -362,202 +428,2559 @@ describe('better-tail', function () {
         it('should work with file read stream', function (done) {
             test(corpus.rs, done)
         })
+
+        it('should work with readable stream', function (done) {
+            test(fs.createReadStream(corpus.path), done)
+        })
     })
 
-    describe('follow option', function () {
-        it('should follow data quickly appended to file (backpressure)', function (done) {
-            const rndStrSize = randomInt()
-    
-            this.slow(rndStrSize * 2)
-            this.timeout(rndStrSize * 3)
+    describe('encoding option', function () {
+        // Lines of each supported encoding; binary-to-text encodings lines are split on raw bytes, then encoded
+        const encodedLines = {
+            utf8: ['fïrst', 'sécond', '€ third'],
+            utf16le: ['fïrst', 'sécond', '😀 third'],
+            latin1: ['fïrst', 'sécond', 'thïrd'],
+            base64: ['AAEC', '/w0O', 'gIGC'],
+            hex: ['0001', 'ff0d', '8081'],
+            ascii: ['first', 'second', 'third'],
+            binary: ['fïrst', 'sécond', 'thïrd'],
+            ucs2: ['fïrst', 'sécond', '😀 third']
+        }
+
+        /**
+         * Encode lines to target content, each line being followed by a CRLF
+         * @param {Array<String>} lines Lines to encode
+         * @param {String} encoding Lines encoding
+         * @returns {Buffer}
+         */
+        function encodeLines (lines, encoding) {
+            const crlf = Buffer.from('\r\n', encoding === 'base64' || encoding === 'hex' ? 'utf8' : encoding)
+
+            return Buffer.concat(lines.map((line) => Buffer.concat([Buffer.from(line, encoding), crlf])))
+        }
+
+        Object.keys(encodedLines).forEach((encoding) => {
+            it(`should read last lines of ${encoding} file`, function () {
+                const lines = encodedLines[encoding]
 
+                return readLog(encodeLines(lines, encoding), { lines: 3, encoding }).then((data) => {
+                    expect(data).to.deep.equal(lines.slice(-2).concat(''))
+                })
+            })
+
+            it(`should read last lines of ${encoding} stream`, function () {
+                const lines = encodedLines[encoding]
+                const stream = new PassThrough()
+
+                stream.end(encodeLines(lines, encoding))
+
+                return Tail.read(stream, { lines: 3, encoding }).then((data) => {
+                    expect(data).to.deep.equal(lines.slice(-2).concat(''))
+                })
+            })
+        })
+
+        it('should not cut utf8 characters with bytes option', function () {
             const expectedLogPath = getExpectedLogPath()
-            const receivedLogPath = getReceivedLogPath()
-    
-            fs.writeFileSync(expectedLogPath, '')
-            fs.writeFileSync(receivedLogPath, '')
-            
-            const tail = new Tail(expectedLogPath, {
-                follow: true
-            }).on('line', (line) => {
-                fs.appendFileSync(receivedLogPath, `${line}\n`)
+            const content = Buffer.from('€a\n€b\n')
+            const stream = new PassThrough()
+
+            fs.writeFileSync(expectedLogPath, content)
+            stream.end(content)
+
+            return Promise.all([
+                Tail.read(expectedLogPath, { bytes: '+1' }),
+                Tail.read(expectedLogPath, { bytes: 4 }),
+                Tail.read(stream, { bytes: '+7' })
+            ]).then(([fromByte, lastBytes, streamFromByte]) => {
+                expect(fromByte).to.deep.equal(['a', '€b', ''])
+                expect(lastBytes).to.deep.equal(['b', ''])
+                expect(streamFromByte).to.deep.equal(['b', ''])
+                fs.unlinkSync(expectedLogPath)
             })
-    
-            for (let i = 0; i < rndStrSize; i++) {
-              fs.appendFile(expectedLogPath, `${randomString(50)}\n`, () => {})
-            }
+        })
 
-            tail.on('end', () => {
-                tail.unfollow()
+        it('should not cut utf16le characters with bytes option', function () {
+            const expectedLogPath = getExpectedLogPath()
+            const content = Buffer.from('😀a\n😀b\n', 'utf16le')
+            const stream = new PassThrough()
+
+            fs.writeFileSync(expectedLogPath, content)
+            stream.end(content)
+
+            return Promise.all([
+                Tail.read(expectedLogPath, { bytes: '+3', encoding: 'utf16le' }),
+                Tail.read(stream, { bytes: 7, encoding: 'utf16le' })
+            ]).then(([fromByte, lastBytes]) => {
+                expect(fromByte).to.deep.equal(['a', '😀b', ''])
+                expect(lastBytes).to.deep.equal(['b', ''])
+                fs.unlinkSync(expectedLogPath)
+            })
+        })
+
+        it('should detect encoding from byte order mark with auto encoding', function () {
+            const expectedLogPath = getExpectedLogPath()
+            const contents = [
+                Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('héllo\nwörld\n')]),
+                Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('héllo\nwörld\n', 'utf16le')]),
+                Buffer.from('héllo\nwörld\n')
+            ]
+
+            return contents.reduce((promise, content) => promise.then(() => {
+                const stream = new PassThrough()
+
+                fs.writeFileSync(expectedLogPath, content)
+                stream.end(content)
+
+                return Promise.all([
+                    Tail.read(expectedLogPath, { lines: 0, encoding: 'auto' }),
+                    Tail.read(stream, { lines: 0, encoding: 'auto' })
+                ]).then((results) => {
+                    results.forEach((data) => expect(data).to.deep.equal(['héllo', 'wörld', '']))
+                })
+            }), Promise.resolve()).then(() => {
+                fs.unlinkSync(expectedLogPath)
+            })
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                encoding: 'utf32'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to encoding option/)
+                done()
+            })
+        })
+    })
+
+    describe('delimiter option', function () {
+        const records = ['first\nrecord', 'second record', 'third\r\nrecord', 'fourth record']
+
+        function tailRecords (options, expected, done) {
+            const expectedLogPath = getExpectedLogPath()
+            const lines = []
+
+            fs.writeFileSync(expectedLogPath, `${records.join('\0')}\0`)
+
+            new Tail(expectedLogPath, options).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(expected)
 
-                const bufferContent = fs.readFileSync(expectedLogPath, 'utf8')
-                const outputContent = fs.readFileSync(receivedLogPath, 'utf8')
-        
-                expect(outputContent).to.equal(bufferContent)
-    
                 if (!DEB_BUFF) {
                     fs.unlinkSync(expectedLogPath)
-                    fs.unlinkSync(receivedLogPath)
                 }
-                
+
                 done()
             })
+        }
+
+        it('should split NUL-terminated records', function (done) {
+            tailRecords({ lines: 3, delimiter: '\0' }, records.slice(-2).concat(''), done)
         })
 
-        it('should emit on target truncating', function (done) {
-            this.timeout(4000)
-            this.slow(4000)
+        it('should work with Buffer delimiter', function (done) {
+            tailRecords({ lines: '+2', delimiter: Buffer.from([0]) }, records.slice(2).concat(''), done)
+        })
 
-            const lines = []
+        it('should keep delimiter with keepDelimiter option', function (done) {
+            tailRecords({ lines: 3, delimiter: '\0', keepDelimiter: true }, records.slice(-2).map((record) => `${record}\0`).concat(''), done)
+        })
+
+        it('should work with multi-character delimiter', function (done) {
             const expectedLogPath = getExpectedLogPath()
-    
-            fs.writeFileSync(expectedLogPath, '')
+            const lines = []
 
-            const tail = new Tail(expectedLogPath, {
-                follow: true
+            fs.writeFileSync(expectedLogPath, 'a--b--c--d')
+
+            new Tail(expectedLogPath, {
+                lines: 2,
+                delimiter: '--'
             }).on('line', (line) => {
                 lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(['b', 'c', 'd'])
+
+                if (!DEB_BUFF) {
+                    fs.unlinkSync(expectedLogPath)
+                }
+
+                done()
             })
+        })
 
-            for (let i = 0; i < 10; i++) {
-                fs.appendFileSync(expectedLogPath, `${i}\n`)
-            }
+        it('should work with readable stream', function (done) {
+            const stream = new PassThrough()
+            const lines = []
 
-            setTimeout(() => {
-                fs.writeFileSync(expectedLogPath, 'override file data')
+            new Tail(stream, {
+                lines: 2,
+                delimiter: '\0'
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(['fourth record', ''])
+                done()
+            })
 
-                tail.on('end', () => {
-                    tail.unfollow()
+            stream.write(`${records.slice(0, 2).join('\0')}\0`)
+            stream.end(`${records.slice(2).join('\0')}\0`)
+        })
 
-                    expect(lines[lines.length - 2]).to.equal('better-tail: file truncated')
+        it('should split long records with delimiter across chunks', function (done) {
+            const stream = new PassThrough()
+            const record = 'a'.repeat(1024 * 1024)
+            const lines = []
 
-                    if (!DEB_BUFF) {
-                        fs.unlinkSync(expectedLogPath)
-                    }
+            new Tail(stream, {
+                delimiter: '--'
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal([record, 'b', ''])
+                done()
+            })
 
-                    done()
-                })
-            }, 2000)
+            for (let i = 0; i < record.length; i += 1024) {
+                stream.write(record.slice(i, i + 1024))
+            }
+
+            stream.write('-')
+            stream.end('-b--')
         })
 
         it('should fail with invalid value', function (done) {
             new Tail(corpus.path, {
-                follow: []
+                delimiter: ''
             }).on('error', (err) => {
                 expect(err).to.be.instanceof(Error)
-                    .and.have.property('message').that.match(/^Invalid value provided to/)
+                    .and.have.property('message').that.match(/^Invalid value provided to delimiter option/)
                 done()
             })
         })
     })
 
-    describe('retry option', function () {
-        const filePathToWait = path.resolve(__dirname, 'im-coming-in-5.txt')
-
-        afterEach(function () {
-            if (fs.existsSync(filePathToWait)) {
-                fs.unlinkSync(filePathToWait)
-            }
-        })
+    describe('format option', function () {
+        const content = '{"id":1}\n{"id":2,"msg":"ok"}\n{"id":3,broken\n\n{"id":4}\n'
 
-        it('should retry until file is accessible', function (done) {
-            this.timeout(10000)
-            this.slow(11000)
+        it('should emit parsed records and parse errors', function (done) {
+            const expectedLogPath = getExpectedLogPath()
+            const lines = []
+            const records = []
+            const errors = []
 
-            const data = []
+            fs.writeFileSync(expectedLogPath, content)
 
-            setTimeout(() => {
-                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
-            }, 5000)
+            new Tail(expectedLogPath, {
+                lines: 5,
+                format: 'json'
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('record', (record, name) => {
+                expect(name).to.equal(expectedLogPath)
 
-            new Tail(filePathToWait, {
-                retry: true
-            }).on('data', (line) => {
-                data.push(line)
+                records.push(record)
+            }).on('parseError', (err) => {
+                errors.push(err)
             }).on('end', () => {
-                expect(data[0]).to.be.instanceof(Buffer, 'Expected data to be an instance of Buffer')
-                expectBuffToBeEqual(Buffer.concat(addLT(data)), corpus.expectations.noOptions)
+                expect(lines).to.deep.equal(['{"id":2,"msg":"ok"}', '{"id":3,broken', '', '{"id":4}', ''])
+                expect(records).to.deep.equal([{ id: 2, msg: 'ok' }, { id: 4 }])
+                expect(errors).to.have.lengthOf(1)
+                expect(errors[0]).to.be.instanceof(SyntaxError)
+                expect(errors[0]).to.have.property('line', '{"id":3,broken')
+                expect(errors[0]).to.have.property('offset', content.indexOf('{"id":3'))
+
+                fs.unlinkSync(expectedLogPath)
+
                 done()
             })
         })
 
-        it('should retry for 5 seconds', function (done) {
-            this.timeout(10000)
-            this.slow(11000)
+        it('should emit records of appended lines in follow mode', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
 
-            const data = []
-            const fileWriteTimeout = setTimeout(() => {
-                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
-            }, 5500)
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, '{"id":1}\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                lines: 0,
+                format: 'json',
+                sleepInterval: 100
+            }).on('parseError', (err) => {
+                tail.unfollow()
+
+                expect(err.offset).to.equal(18)
+
+                fs.unlinkSync(expectedLogPath)
 
-            new Tail(filePathToWait, {
-                retry: {
-                    timeout: 5000
-                }
-            }).on('error', (err) => {
-                clearTimeout(fileWriteTimeout)
-                expect(err).to.be.instanceof(Error)
-                    .and.have.property('message', 'Retry timeout reached')
                 done()
             })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, '{"id":2}\nbroken\n')
+            }, 200)
         })
 
-        it('should retry 3 times', function (done) {
-            this.timeout(10000)
-            this.slow(11000)
+        it('should work with readable stream', function (done) {
+            const stream = new PassThrough()
+            const errors = []
 
-            const data = []
-            const fileWriteTimeout = setTimeout(() => {
-                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
-            }, 6000)
+            new Tail(stream, {
+                lines: 2,
+                format: 'json'
+            }).on('parseError', (err) => {
+                errors.push(err)
+            }).on('end', () => {
+                expect(errors).to.have.lengthOf(1)
+                expect(errors[0]).to.have.property('offset', 9)
+                done()
+            })
 
-            new Tail(filePathToWait, {
-                retry: {
-                    max: 3
-                }
+            stream.end('{"id":1}\n{"id":2\n')
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                format: 'xml'
             }).on('error', (err) => {
-                clearTimeout(fileWriteTimeout)
                 expect(err).to.be.instanceof(Error)
-                    .and.have.property('message', 'Max retries reached')
+                    .and.have.property('message').that.match(/^Invalid value provided to format option/)
                 done()
             })
         })
+    })
 
-        it('should retry each 2 seconds', function (done) {
-            this.timeout(10000)
-            this.slow(11000)
+    describe('include and exclude options', function () {
+        const contentLines = []
 
-            const data = []
-            const fileWriteTimeout = setTimeout(() => {
-                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
-            }, 4500)
+        for (let i = 0; i < 30; i++) {
+            contentLines.push(i % 5 === 0 ? `ERROR ${i}` : `info ${i}`)
+        }
 
-            new Tail(filePathToWait, {
-                retry: {
-                    interval: 2000
-                }
-            }).on('end', () => {
-                done()
+        const content = `${contentLines.join('\n')}\n`
+
+        it('should only emit lines matching include option', function () {
+            return readLog(content, { lines: 0, include: /ERROR/ }).then((lines) => {
+                expect(lines).to.deep.equal(['ERROR 0', 'ERROR 5', 'ERROR 10', 'ERROR 15', 'ERROR 20', 'ERROR 25'])
             })
-            .on('error', (err) => {
-                done(err)
+        })
+
+        it('should not emit lines matching exclude option', function () {
+            return readLog(content, { lines: 6, exclude: [/ERROR/, (line) => line === 'info 28'] }).then((lines) => {
+                expect(lines).to.deep.equal(['info 26', 'info 27', 'info 29', ''])
             })
         })
 
-        it('should fail with invalid value', function (done) {
-            new Tail(corpus.path, {
-                retry: () => {}
-            }).on('error', (err) => {
-                expect(err).to.be.instanceof(Error)
-                    .and.have.property('message').that.match(/^Invalid value provided to/)
+        it('should emit context lines', function () {
+            return readLog(content, { lines: 0, include: /ERROR (20|25)/, before: 2, after: 1 }).then((lines) => {
+                expect(lines).to.deep.equal(['info 18', 'info 19', 'ERROR 20', 'info 21', 'info 23', 'info 24', 'ERROR 25', 'info 26'])
+            })
+        })
+
+        it('should emit last matching lines with matchingLines option', function () {
+            return readLog(content, { lines: 3, include: /ERROR/, before: 6, matchingLines: true }).then((lines) => {
+                // ERROR 10 is only a context line of ERROR 15
+                expect(lines).to.deep.equal(contentLines.slice(9, 26))
+            })
+        })
+
+        it('should emit last matching lines of readable stream with matchingLines option', function (done) {
+            const stream = new PassThrough()
+            const lines = []
+
+            new Tail(stream, {
+                lines: 2,
+                include: /ERROR/,
+                after: 1,
+                matchingLines: true
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(['ERROR 20', 'info 21', 'ERROR 25', 'info 26'])
+                done()
+            })
+
+            stream.end(content)
+        })
+
+        it('should fail with error thrown by include predicate', function () {
+            const include = (line) => JSON.parse(line).level === 'error'
+
+            return readLog(content, { lines: 0, include }).then(() => {
+                throw new Error('Read should have failed')
+            }, (err) => {
+                expect(err).to.be.instanceof(SyntaxError)
+            })
+        })
+
+        it('should fail with error thrown by exclude predicate of readable stream', function (done) {
+            const stream = new PassThrough()
+            const lines = []
+
+            new Tail(stream, {
+                exclude: (line) => JSON.parse(line).level === 'debug'
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(SyntaxError)
+                expect(lines).to.be.empty
+                done()
+            })
+
+            stream.end(content)
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                include: 'ERROR'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to include option/)
+                done()
+            })
+        })
+    })
+
+    describe('multiline option', function () {
+        const content = 'INFO started\nERROR failed\n    at first\n    at second\nINFO retrying\nERROR failed again\n    at third\n'
+
+        it('should group continuation lines and count records', function () {
+            return readLog(content, { lines: 3, multiline: { continuation: /^\s/ } }).then((lines) => {
+                expect(lines).to.deep.equal(['ERROR failed\n    at first\n    at second', 'INFO retrying', 'ERROR failed again\n    at third', ''])
+            })
+        })
+
+        it('should group lines following start line and filter records', function () {
+            return readLog(content, { lines: 0, multiline: { start: (line) => /^[A-Z]+ /.test(line) }, include: /^ERROR/ }).then((lines) => {
+                expect(lines).to.deep.equal(['ERROR failed\n    at first\n    at second', 'ERROR failed again\n    at third'])
+            })
+        })
+
+        it('should work with readable stream', function (done) {
+            const stream = new PassThrough()
+            const lines = []
+
+            new Tail(stream, {
+                lines: 2,
+                multiline: { continuation: /^\s/ }
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(['INFO retrying', 'ERROR failed again\n    at third', ''])
+                done()
+            })
+
+            stream.end(content)
+        })
+
+        it('should fail with error thrown by start predicate', function () {
+            return readLog(content, { lines: '+0', multiline: { start: (line) => JSON.parse(line).start } }).then(() => {
+                throw new Error('Read should have failed')
+            }, (err) => {
+                expect(err).to.be.instanceof(SyntaxError)
+            })
+        })
+
+        it('should emit pending record after timeout in follow mode', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                sleepInterval: 100,
+                multiline: { continuation: /^\s/, timeout: 300 }
+            }).on('line', (line) => {
+                tail.unfollow()
+
+                expect(line).to.equal('ERROR failed\n    at first\n    at second')
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, 'ERROR failed\n    at first\n')
+            }, 100)
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, '    at second\n')
+            }, 250)
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                multiline: { start: /^\S/, continuation: /^\s/ }
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to multiline option/)
+                done()
+            })
+        })
+    })
+
+    describe('since and until options', function () {
+        // One line per minute, every 5th line being followed by a line without timestamp
+        const lines = []
+
+        for (let i = 0; i < 3000; i++) {
+            lines.push(`${new Date(Date.UTC(2020, 0, 1, 0, i)).toISOString()} INFO event ${i}`)
+
+            if (i % 5 === 0) {
+                lines.push(`    detail ${i}`)
+            }
+        }
+
+        const content = `${lines.join('\n')}\n`
+
+        it('should start from first line logged since given time', function () {
+            return readLog(content, { since: '2020-01-02T10:00:30Z' }).then((lines) => {
+                expect(lines[0]).to.equal('2020-01-02T10:01:00.000Z INFO event 2041')
+                expect(lines).to.have.lengthOf(content.slice(content.indexOf(lines[0])).split('\n').length)
+            })
+        })
+
+        it('should stop after last line logged until given time', function () {
+            return readLog(content, { since: new Date(Date.UTC(2020, 0, 1, 1)), until: Date.UTC(2020, 0, 1, 1, 5) }).then((lines) => {
+                expect(lines).to.deep.equal([
+                    '2020-01-01T01:00:00.000Z INFO event 60',
+                    '    detail 60',
+                    '2020-01-01T01:01:00.000Z INFO event 61',
+                    '2020-01-01T01:02:00.000Z INFO event 62',
+                    '2020-01-01T01:03:00.000Z INFO event 63',
+                    '2020-01-01T01:04:00.000Z INFO event 64',
+                    '2020-01-01T01:05:00.000Z INFO event 65',
+                    '    detail 65',
+                    ''
+                ])
+            })
+        })
+
+        it('should count last lines before until time', function () {
+            return readLog(content, { lines: 3, until: '2020-01-01T00:10:00Z' }).then((lines) => {
+                expect(lines).to.deep.equal(['2020-01-01T00:10:00.000Z INFO event 10', '    detail 10', ''])
+            })
+        })
+
+        it('should parse syslog timestamps', function () {
+            const data = 'Jan  1 09:59:59 host app: first\nJan  1 10:00:00 host app: second\nJan  1 10:00:01 host app: third'
+            const year = new Date().getFullYear()
+
+            return readLog(data, { since: new Date(year, 0, 1, 10), timestamp: 'syslog' }).then((lines) => {
+                expect(lines).to.deep.equal(['Jan  1 10:00:00 host app: second', 'Jan  1 10:00:01 host app: third'])
+            })
+        })
+
+        it('should parse timestamps with given function', function () {
+            const data = [1000, 2000, 3000, 4000].map((time) => JSON.stringify({ time, msg: `at ${time}` })).join('\n')
+
+            return readLog(data, { since: 2000, until: 3000, timestamp: (line) => JSON.parse(line).time }).then((lines) => {
+                expect(lines).to.deep.equal(['{"time":2000,"msg":"at 2000"}', '{"time":3000,"msg":"at 3000"}', ''])
+            })
+        })
+
+        it('should fail with error thrown by timestamp function', function () {
+            const stream = new PassThrough()
+
+            stream.end(content)
+
+            return Tail.read(stream, { since: 0, timestamp: (line) => JSON.parse(line).time, raw: true }).then(() => {
+                throw new Error('Read should have failed')
+            }, (err) => {
+                expect(err).to.be.instanceof(SyntaxError)
+            })
+        })
+
+        it('should work with readable stream', function () {
+            const stream = new PassThrough()
+
+            stream.end(content)
+
+            return Tail.read(stream, { lines: 3, since: '2020-01-01T00:08:00Z', until: '2020-01-01T00:10:30Z' }).then((lines) => {
+                expect(lines).to.deep.equal([
+                    '2020-01-01T00:08:00.000Z INFO event 8',
+                    '2020-01-01T00:09:00.000Z INFO event 9',
+                    '2020-01-01T00:10:00.000Z INFO event 10',
+                    '    detail 10'
+                ])
+            })
+        })
+
+        it('should start from same line with file and readable stream', function () {
+            const stream = new PassThrough()
+            const since = '2020-01-02T23:34:00Z'
+
+            stream.end(content)
+
+            return Promise.all([readLog(content, { since }), Tail.read(stream, { since })]).then(([fileLines, streamLines]) => {
+                expect(streamLines).to.have.lengthOf.above(10)
+                expect(streamLines).to.deep.equal(fileLines)
+            })
+        })
+
+        it('should fail with invalid time', function (done) {
+            new Tail(corpus.path, {
+                since: 'yesterday'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to since option/)
+                done()
+            })
+        })
+
+        it('should fail with invalid timestamp format', function (done) {
+            new Tail(corpus.path, {
+                until: new Date(),
+                timestamp: 'rfc2822'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to timestamp option/)
+                done()
+            })
+        })
+    })
+
+    describe('objectMode option', function () {
+        it('should emit line objects', function (done) {
+            const expectedLogPath = getExpectedLogPath()
+            const data = []
+
+            fs.writeFileSync(expectedLogPath, 'a\nbb\nccc\ndddd')
+
+            new Tail(expectedLogPath, {
+                lines: 2,
+                objectMode: true
+            }).on('data', (line) => {
+                data.push(line)
+            }).on('end', () => {
+                expect(data).to.have.lengthOf(3)
+                expect(data[0].readAt).to.be.instanceof(Date)
+                expect(data.map(({ line, byteOffset, lineNumber, target }) => ({ line, byteOffset, lineNumber, target }))).to.deep.equal([
+                    { line: 'bb', byteOffset: 2, lineNumber: 2, target: expectedLogPath },
+                    { line: 'ccc', byteOffset: 5, lineNumber: 3, target: expectedLogPath },
+                    { line: 'dddd', byteOffset: 9, lineNumber: 4, target: expectedLogPath }
+                ])
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+        })
+
+        it('should keep absolute line numbers while following target', function (done) {
+            this.timeout(3000)
+            this.slow(3000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const lineNumbers = []
+
+            fs.writeFileSync(expectedLogPath, 'a\nb\nc\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                lines: 1,
+                objectMode: true,
+                sleepInterval: 100
+            }).on('data', ({ line, lineNumber }) => {
+                lineNumbers.push([line, lineNumber])
+
+                if (line === 'e') {
+                    // Reset cursor to last line of truncated target
+                    fs.writeFileSync(expectedLogPath, 'x\ny\n')
+                } else if (line === 'y') {
+                    tail.unfollow()
+
+                    expect(lineNumbers).to.deep.equal([['c', 3], ['d', 4], ['e', 5], ['y', 2]])
+
+                    fs.unlinkSync(expectedLogPath)
+
+                    done()
+                }
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, 'd\ne\n')
+            }, 200)
+        })
+
+        it('should work with readable stream', function (done) {
+            const stream = new PassThrough()
+            const data = []
+
+            new Tail(stream, {
+                bytes: 6,
+                objectMode: true
+            }).on('data', ({ line, byteOffset, lineNumber }) => {
+                data.push([line, byteOffset, lineNumber])
+            }).on('end', () => {
+                expect(data).to.deep.equal([['c', 8, 3], ['dddd', 10, 4]])
+                done()
+            })
+
+            stream.write('a\nbb\n')
+            stream.end('cccc\ndddd')
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                objectMode: 'yes'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to objectMode option/)
+                done()
+            })
+        })
+    })
+
+    describe('raw option', function () {
+        /**
+         * Collect data of a tail in raw mode until its end
+         * @param {String|Readable} target Target to tail
+         * @param {Object} options Tail options
+         * @param {Function} cb Callback called with collected bytes
+         */
+        function readRaw (target, options, cb) {
+            const chunks = []
+
+            new Tail(target, Object.assign({ raw: true }, options)).on('data', (chunk) => {
+                chunks.push(chunk)
+            }).on('end', () => {
+                cb(Buffer.concat(chunks))
+            })
+        }
+
+        it('should emit exact last bytes of binary file', function (done) {
+            const expectedLogPath = getExpectedLogPath()
+            const content = Buffer.from([0x00, 0xff, 0x0a, 0xc3, 0x28, 0x0d, 0x0a, 0xe2, 0x82, 0x0a, 0x80, 0xfe])
+
+            fs.writeFileSync(expectedLogPath, content)
+
+            readRaw(expectedLogPath, { bytes: 8 }, (data) => {
+                expectBuffToBeEqual(data, content.slice(-8))
+                fs.unlinkSync(expectedLogPath)
+                done()
+            })
+        })
+
+        it('should emit last lines with their delimiters, like tail does', function (done) {
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, 'a\r\nb\r\nc\r\n')
+
+            readRaw(expectedLogPath, { lines: 2 }, (data) => {
+                expect(data.toString()).to.equal('b\r\nc\r\n')
+
+                readRaw(expectedLogPath, { lines: '+2' }, (data) => {
+                    expect(data.toString()).to.equal('b\r\nc\r\n')
+                    fs.unlinkSync(expectedLogPath)
+                    done()
+                })
+            })
+        })
+
+        it('should emit exact appended bytes in follow mode', function (done) {
+            this.timeout(3000)
+            this.slow(3000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const appended = Buffer.from([0x0a, 0x00, 0xc3, 0xff, 0x0a, 0x01])
+            const chunks = []
+
+            fs.writeFileSync(expectedLogPath, 'first\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                raw: true,
+                sleepInterval: 100
+            }).on('line', () => {
+                done(new Error('No line event is expected in raw mode'))
+            }).on('data', (chunk) => {
+                chunks.push(chunk)
+
+                const data = Buffer.concat(chunks)
+
+                if (data.length === 6 + appended.length) {
+                    tail.unfollow()
+
+                    expectBuffToBeEqual(data, Buffer.concat([Buffer.from('first\n'), appended]))
+                    fs.unlinkSync(expectedLogPath)
+                    done()
+                }
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, appended)
+            }, 200)
+        })
+
+        it('should work with readable stream', function (done) {
+            const content = Buffer.from([0x61, 0x0a, 0xff, 0x0a, 0x00, 0x0a, 0x80])
+            const stream = new PassThrough()
+
+            readRaw(stream, { lines: 2 }, (data) => {
+                expectBuffToBeEqual(data, content.slice(4))
+
+                const stream = new PassThrough()
+
+                readRaw(stream, { bytes: 3 }, (data) => {
+                    expectBuffToBeEqual(data, content.slice(-3))
+                    done()
+                })
+
+                stream.end(content)
+            })
+
+            stream.end(content)
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                raw: 'yes'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to raw option/)
+                done()
+            })
+        })
+    })
+
+    describe('follow option', function () {
+        it('should follow data quickly appended to file (backpressure)', function (done) {
+            const rndStrSize = randomInt()
+    
+            this.slow(rndStrSize * 2)
+            this.timeout(rndStrSize * 3)
+
+            const expectedLogPath = getExpectedLogPath()
+            const receivedLogPath = getReceivedLogPath()
+    
+            fs.writeFileSync(expectedLogPath, '')
+            fs.writeFileSync(receivedLogPath, '')
+            
+            const tail = new Tail(expectedLogPath, {
+                follow: true
+            }).on('line', (line) => {
+                fs.appendFileSync(receivedLogPath, `${line}\n`)
+            })
+    
+            for (let i = 0; i < rndStrSize; i++) {
+              fs.appendFile(expectedLogPath, `${randomString(50)}\n`, () => {})
+            }
+
+            tail.on('eof', () => {
+                tail.unfollow()
+
+                const bufferContent = fs.readFileSync(expectedLogPath, 'utf8')
+                const outputContent = fs.readFileSync(receivedLogPath, 'utf8')
+        
+                expect(outputContent).to.equal(bufferContent)
+    
+                if (!DEB_BUFF) {
+                    fs.unlinkSync(expectedLogPath)
+                    fs.unlinkSync(receivedLogPath)
+                }
+                
+                done()
+            })
+        })
+
+        it('should emit on target truncating', function (done) {
+            this.timeout(4000)
+            this.slow(4000)
+
+            const lines = []
+            const expectedLogPath = getExpectedLogPath()
+    
+            fs.writeFileSync(expectedLogPath, '')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                truncateMessage: true
+            }).on('line', (line) => {
+                lines.push(line)
+            })
+
+            for (let i = 0; i < 10; i++) {
+                fs.appendFileSync(expectedLogPath, `${i}\n`)
+            }
+
+            setTimeout(() => {
+                fs.writeFileSync(expectedLogPath, 'override file data')
+
+                tail.on('eof', () => {
+                    tail.unfollow()
+
+                    expect(lines[lines.length - 2]).to.equal('better-tail: file truncated')
+
+                    if (!DEB_BUFF) {
+                        fs.unlinkSync(expectedLogPath)
+                    }
+
+                    done()
+                })
+            }, 2000)
+        })
+
+        it('should emit truncate event with previous and new size', function (done) {
+            this.timeout(4000)
+            this.slow(4000)
+
+            const lines = []
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, 'first\nsecond\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                sleepInterval: 100
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('truncate', (previousSize, size, name) => {
+                expect(previousSize).to.equal(13)
+                expect(size).to.equal(4)
+                expect(name).to.equal(expectedLogPath)
+
+                tail.once('eof', () => {
+                    tail.unfollow()
+
+                    expect(lines).to.deep.equal(['first', 'second', 'new'])
+
+                    fs.unlinkSync(expectedLogPath)
+
+                    done()
+                })
+            })
+
+            setTimeout(() => {
+                fs.writeFileSync(expectedLogPath, 'new\n')
+            }, 300)
+        })
+
+        it('should resume from target new end after truncating', function (done) {
+            this.timeout(4000)
+            this.slow(4000)
+
+            const lines = []
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, 'first\nsecond\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                truncate: 'end',
+                sleepInterval: 100
+            }).on('line', (line) => {
+                lines.push(line)
+
+                if (line === 'appended') {
+                    tail.unfollow()
+
+                    expect(lines).to.deep.equal(['first', 'second', 'appended'])
+
+                    fs.unlinkSync(expectedLogPath)
+
+                    done()
+                }
+            }).on('truncate', () => {
+                fs.appendFileSync(expectedLogPath, 'appended\n')
+            })
+
+            setTimeout(() => {
+                fs.writeFileSync(expectedLogPath, 'new\n')
+            }, 300)
+        })
+
+        it('should fail with invalid truncate value', function (done) {
+            new Tail(corpus.path, {
+                follow: true,
+                truncate: 'middle'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to truncate option/)
+                done()
+            })
+        })
+
+        it('should follow target path across rotation', function (done) {
+            this.timeout(4000)
+            this.slow(4000)
+
+            const lines = []
+            const expectedLogPath = getExpectedLogPath()
+            const rotatedLogPath = `${expectedLogPath}.1`
+            let rotated = false
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: 'name',
+                retry: true,
+                sleepInterval: 100
+            }).on('line', (line) => {
+                lines.push(line)
+
+                if (line === 'new 1') {
+                    tail.unfollow()
+
+                    expect(rotated).to.equal(true)
+                    expect(lines).to.deep.equal(['old 0', 'old 1', 'new 0', 'new 1'])
+
+                    fs.unlinkSync(expectedLogPath)
+                    fs.unlinkSync(rotatedLogPath)
+
+                    done()
+                }
+            }).on('rotate', () => {
+                rotated = true
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, 'old 0\n')
+                fs.renameSync(expectedLogPath, rotatedLogPath)
+                fs.appendFileSync(rotatedLogPath, 'old 1\n')
+
+                setTimeout(() => {
+                    fs.writeFileSync(expectedLogPath, 'new 0\nnew 1\n')
+                }, 300)
+            }, 300)
+        })
+
+        it('should read appended data as soon as target changes', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                watch: true,
+                sleepInterval: 60000
+            }).on('line', (line) => {
+                tail.unfollow()
+
+                expect(line).to.equal('changed')
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, 'changed\n')
+            }, 200)
+        })
+
+        it('should still poll watched target in case watcher never fires', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const watch = fs.watch
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            // Watcher which never fires, like on some network file systems
+            fs.watch = () => {
+                fs.watch = watch
+
+                return Object.assign(new EventEmitter(), { close: () => {} })
+            }
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                watch: true,
+                sleepInterval: 20
+            }).on('line', (line) => {
+                tail.unfollow()
+
+                expect(line).to.equal('changed')
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, 'changed\n')
+            }, 200)
+        })
+
+        it('should read appended data when polled target changes', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                watch: 'poll',
+                sleepInterval: 100
+            }).on('line', (line) => {
+                tail.unfollow()
+
+                expect(line).to.equal('changed')
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+
+            setTimeout(() => {
+                fs.appendFileSync(expectedLogPath, 'changed\n')
+            }, 200)
+        })
+
+        it('should stop following once watched process exits', function (done) {
+            this.timeout(3000)
+            this.slow(3000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 500)'])
+            const lines = []
+
+            fs.writeFileSync(expectedLogPath, 'first\n')
+
+            new Tail(expectedLogPath, {
+                follow: true,
+                pid: child.pid,
+                sleepInterval: 100
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('close', () => {
+                expect(lines).to.deep.equal(['first', 'last'])
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+
+            child.on('exit', () => {
+                // Data written right before process exited is still read
+                fs.appendFileSync(expectedLogPath, 'last\n')
+            })
+        })
+
+        it('should stop watching once watched process exits', function (done) {
+            this.timeout(3000)
+            this.slow(3000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 200)'])
+            let ended = false
+
+            fs.writeFileSync(expectedLogPath, 'first\n')
+
+            new Tail(expectedLogPath, {
+                follow: true,
+                watch: true,
+                pid: child.pid,
+                sleepInterval: 100
+            }).on('end', () => {
+                ended = true
+            }).on('close', () => {
+                expect(ended).to.equal(true)
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+        })
+
+        it('should fail with invalid pid value', function (done) {
+            new Tail(corpus.path, {
+                follow: true,
+                pid: 'abc'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to pid option/)
+                done()
+            })
+        })
+
+        it('should fail with invalid watch value', function (done) {
+            new Tail(corpus.path, {
+                follow: true,
+                watch: 'abc'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to watch/)
+                done()
+            })
+        })
+
+        it('should fail to follow file descriptor by name', function (done) {
+            new Tail(corpus.fd, {
+                follow: 'name'
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message', 'Following by name requires a file path target')
+                done()
+            })
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                follow: []
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to/)
+                done()
+            })
+        })
+    })
+
+    describe('retry option', function () {
+        const filePathToWait = path.resolve(__dirname, 'im-coming-in-5.txt')
+
+        afterEach(function () {
+            if (fs.existsSync(filePathToWait)) {
+                fs.unlinkSync(filePathToWait)
+            }
+        })
+
+        it('should retry until file is accessible', function (done) {
+            this.timeout(10000)
+            this.slow(11000)
+
+            const data = []
+
+            setTimeout(() => {
+                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
+            }, 5000)
+
+            new Tail(filePathToWait, {
+                retry: true
+            }).on('data', (line) => {
+                data.push(line)
+            }).on('end', () => {
+                expect(data[0]).to.be.instanceof(Buffer, 'Expected data to be an instance of Buffer')
+                expectBuffToBeEqual(Buffer.concat(addLT(data)), corpus.expectations.noOptions)
+                done()
+            })
+        })
+
+        it('should retry for 5 seconds', function (done) {
+            this.timeout(10000)
+            this.slow(11000)
+
+            const data = []
+            const fileWriteTimeout = setTimeout(() => {
+                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
+            }, 5500)
+
+            new Tail(filePathToWait, {
+                retry: {
+                    timeout: 5000
+                }
+            }).on('error', (err) => {
+                clearTimeout(fileWriteTimeout)
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message', 'Retry timeout reached')
+                done()
+            })
+        })
+
+        it('should retry 3 times', function (done) {
+            this.timeout(10000)
+            this.slow(11000)
+
+            const data = []
+            const fileWriteTimeout = setTimeout(() => {
+                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
+            }, 6000)
+
+            new Tail(filePathToWait, {
+                retry: {
+                    max: 3
+                }
+            }).on('error', (err) => {
+                clearTimeout(fileWriteTimeout)
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message', 'Max retries reached')
+                done()
+            })
+        })
+
+        it('should retry each 2 seconds', function (done) {
+            this.timeout(10000)
+            this.slow(11000)
+
+            const data = []
+            const fileWriteTimeout = setTimeout(() => {
+                fs.writeFileSync(filePathToWait, corpus.expectations.noOptions, { encoding: 'utf8' })
+            }, 4500)
+
+            new Tail(filePathToWait, {
+                retry: {
+                    interval: 2000
+                }
+            }).on('end', () => {
+                done()
+            })
+            .on('error', (err) => {
+                done(err)
+            })
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(corpus.path, {
+                retry: () => {}
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to/)
+                done()
+            })
+        })
+    })
+
+    describe('poll scheduler', function () {
+        it('should poll many followed targets from a shared scheduler', function (done) {
+            this.timeout(5000)
+            this.slow(2000)
+
+            const scheduler = Tail.scheduler
+            const logPaths = []
+            const tails = []
+            let count = 0
+
+            for (let i = 0; i < 50; i++) {
+                const logPath = path.resolve(__dirname, `polled-${i}.log`)
+
+                fs.writeFileSync(logPath, '')
+                logPaths.push(logPath)
+
+                tails.push(new Tail(logPath, {
+                    follow: true,
+                    sleepInterval: 200
+                }).on('line', (line) => {
+                    expect(line).to.equal(`line ${i}`)
+
+                    if (++count === logPaths.length) {
+                        expect(scheduler.tasks.size).to.equal(logPaths.length)
+
+                        tails.forEach((tail) => tail.unfollow())
+                        logPaths.forEach((logPath) => fs.unlinkSync(logPath))
+
+                        expect(scheduler.tasks.size).to.equal(0)
+                        expect(scheduler.timeout).to.equal(undefined)
+                        done()
+                    }
+                }))
+            }
+
+            setTimeout(() => {
+                logPaths.forEach((logPath, i) => fs.appendFileSync(logPath, `line ${i}\n`))
+            }, 300)
+        })
+
+        it('should check busy tasks more often and idle ones less often', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const scheduler = new Tail.PollScheduler({ minInterval: 20 })
+            const busy = (cb) => setImmediate(() => cb(true))
+            const idle = (cb) => setImmediate(() => cb(false))
+
+            scheduler.add(busy, 160)
+            scheduler.add(idle, 160)
+
+            scheduler.tasks.get(idle).delay = 20
+
+            setTimeout(() => {
+                expect(scheduler.tasks.get(busy).delay).to.equal(20)
+                expect(scheduler.tasks.get(idle).delay).to.equal(160)
+
+                scheduler.remove(busy)
+                scheduler.remove(idle)
+
+                expect(scheduler.has(busy)).to.equal(false)
+                done()
+            }, 1000)
+        })
+
+        it('should use replaced scheduler', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const sharedScheduler = Tail.scheduler
+            const scheduler = new Tail.PollScheduler({ concurrency: 1 })
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            Tail.scheduler = scheduler
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                sleepInterval: 100
+            }).on('line', (line) => {
+                tail.unfollow()
+
+                Tail.scheduler = sharedScheduler
+
+                expect(line).to.equal('scheduled')
+                expect(scheduler.tasks.size).to.equal(0)
+                expect(scheduler.timeout).to.equal(undefined)
+
+                fs.unlinkSync(expectedLogPath)
+
+                done()
+            })
+
+            setTimeout(() => {
+                expect(scheduler.tasks.size).to.equal(1)
+
+                fs.appendFileSync(expectedLogPath, 'scheduled\n')
+            }, 200)
+        })
+    })
+
+    describe('asynchronous reads', function () {
+        const syncMethods = ['accessSync', 'closeSync', 'fstatSync', 'openSync', 'readFileSync', 'readSync', 'statSync']
+
+        it('should not call synchronous fs methods', function (done) {
+            const expectedLogPath = getExpectedLogPath()
+            const originals = {}
+            const lines = []
+
+            fs.writeFileSync(expectedLogPath, 'first\nsecond\nthird\n')
+
+            syncMethods.forEach((method) => {
+                originals[method] = fs[method]
+                fs[method] = () => {
+                    throw new Error(`fs.${method} was called`)
+                }
+            })
+
+            const restore = () => syncMethods.forEach((method) => {
+                fs[method] = originals[method]
+            })
+
+            new Tail(expectedLogPath, {
+                lines: 2,
+                objectMode: true
+            }).on('data', (data) => {
+                lines.push(data)
+            }).on('error', (err) => {
+                restore()
+                done(err)
+            }).on('end', () => {
+                restore()
+
+                expect(lines.map(({ line }) => line)).to.deep.equal(['third', ''])
+                expect(lines[0].lineNumber).to.equal(3)
+
+                fs.unlinkSync(expectedLogPath)
+                done()
+            })
+        })
+
+        it('should follow lines appended while target is being checked', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const lines = []
+
+            fs.writeFileSync(expectedLogPath, 'first\nsecond\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                lines: 1,
+                sleepInterval: 100
+            }).on('line', (line) => {
+                lines.push(line)
+
+                if (lines.length === 2) {
+                    tail.unfollow()
+
+                    expect(lines).to.deep.equal(['second', 'appended'])
+
+                    fs.unlinkSync(expectedLogPath)
+                    done()
+                }
+            })
+
+            fs.appendFile(expectedLogPath, 'appended\n', () => {})
+        })
+    })
+
+    describe('compressed target', function () {
+        const gzipPath = path.resolve(__dirname, 'compressed.log.gz')
+        const brotliPath = path.resolve(__dirname, 'compressed.log.br')
+        const contentLines = corpus.expectations.content.toString('utf8').split(/\r\n/)
+
+        before(function () {
+            fs.writeFileSync(gzipPath, zlib.gzipSync(corpus.expectations.content))
+
+            if (zlib.brotliCompressSync) {
+                fs.writeFileSync(brotliPath, zlib.brotliCompressSync(corpus.expectations.content))
+            }
+        })
+
+        after(function () {
+            [gzipPath, brotliPath].forEach((filePath) => {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath)
+                }
+            })
+        })
+
+        it('should read last lines of gzip file', function () {
+            return Tail.read(gzipPath, { lines: 3 }).then((lines) => {
+                expect(lines).to.deep.equal(contentLines.slice(-3))
+            })
+        })
+
+        it('should read last bytes of gzip file descriptor', function () {
+            const fd = fs.openSync(gzipPath, 'r')
+
+            return Tail.read(fd, { bytes: 100 }).then((lines) => {
+                fs.closeSync(fd)
+
+                expect(lines.join('\r\n')).to.equal(corpus.expectations.content.slice(-100).toString('utf8'))
+            })
+        })
+
+        it('should read last lines of brotli file', function () {
+            if (!zlib.brotliCompressSync) {
+                this.skip()
+            }
+
+            return Tail.read(brotliPath, { lines: 3 }).then((lines) => {
+                expect(lines).to.deep.equal(contentLines.slice(-3))
+            })
+        })
+
+        it('should fail to follow compressed file', function (done) {
+            new Tail(gzipPath, {
+                follow: true
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.equal('Compressed targets cannot be followed')
+                done()
+            })
+        })
+    })
+
+    describe('checkpoint option', function () {
+        const targetPath = path.resolve(__dirname, 'checkpoint-target.log')
+        const checkpointPath = path.resolve(__dirname, 'checkpoint.json')
+
+        function readAll (options, done, cb) {
+            Tail.read(targetPath, Object.assign({ lines: 2 }, options)).then(cb).catch(done)
+        }
+
+        beforeEach(function () {
+            fs.writeFileSync(targetPath, 'a\nb\nc\n')
+        })
+
+        afterEach(function () {
+            [targetPath, checkpointPath].forEach((filePath) => {
+                if (fs.existsSync(filePath)) {
+                    fs.unlinkSync(filePath)
+                }
+            })
+        })
+
+        it('should resume from saved position', function (done) {
+            readAll({ checkpoint: checkpointPath }, done, (lines) => {
+                expect(lines).to.deep.equal(['c', ''])
+
+                fs.appendFileSync(targetPath, 'd\ne\nf\n')
+
+                readAll({ checkpoint: checkpointPath }, done, (lines) => {
+                    expect(lines).to.deep.equal(['d', 'e', 'f', ''])
+
+                    const state = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'))[targetPath]
+
+                    expect(state).to.deep.equal({
+                        cursor: 12,
+                        ino: fs.statSync(targetPath).ino,
+                        size: 12
+                    })
+                    done()
+                })
+            })
+        })
+
+        it('should fall back to lines option if target is another file', function (done) {
+            readAll({ checkpoint: checkpointPath }, done, () => {
+                // Write new file before replacing target so that it cannot reuse target inode
+                fs.writeFileSync(`${targetPath}.new`, 'd\ne\nf\ng\n')
+                fs.renameSync(`${targetPath}.new`, targetPath)
+
+                readAll({ checkpoint: checkpointPath }, done, (lines) => {
+                    expect(lines).to.deep.equal(['g', ''])
+                    done()
+                })
+            })
+        })
+
+        it('should fall back to lines option if target was truncated', function (done) {
+            readAll({ checkpoint: checkpointPath }, done, () => {
+                fs.writeFileSync(targetPath, 'd\n')
+
+                readAll({ checkpoint: checkpointPath }, done, (lines) => {
+                    expect(lines).to.deep.equal(['d', ''])
+                    done()
+                })
+            })
+        })
+
+        it('should keep positions of targets saved at once', function (done) {
+            const otherPath = path.resolve(__dirname, 'checkpoint-other.log')
+
+            fs.writeFileSync(otherPath, 'd\ne\n')
+
+            Promise.all([targetPath, otherPath].map((target) => Tail.read(target, { checkpoint: checkpointPath }))).then(() => {
+                const states = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'))
+
+                fs.unlinkSync(otherPath)
+
+                expect(states[targetPath]).to.have.property('cursor', 6)
+                expect(states[otherPath]).to.have.property('cursor', 4)
+                done()
+            }).catch(done)
+        })
+
+        it('should work with custom store', function (done) {
+            const states = {}
+            const store = {
+                get: (name) => states[name],
+                set: (name, state) => {
+                    states[name] = state
+                }
+            }
+
+            readAll({ checkpoint: store }, done, () => {
+                expect(states[targetPath]).to.have.property('cursor', 6)
+
+                fs.appendFileSync(targetPath, 'd\n')
+
+                readAll({ checkpoint: store }, done, (lines) => {
+                    expect(lines).to.deep.equal(['d', ''])
+                    done()
+                })
+            })
+        })
+
+        it('should work with asynchronous store', function (done) {
+            const states = {}
+            const store = {
+                get: (name) => new Promise((resolve) => setTimeout(() => resolve(states[name]), 10)),
+                set: (name, state) => new Promise((resolve) => setTimeout(() => {
+                    states[name] = state
+                    resolve()
+                }, 10))
+            }
+
+            readAll({ checkpoint: store }, done, () => {
+                expect(states[targetPath]).to.have.property('cursor', 6)
+
+                fs.appendFileSync(targetPath, 'd\n')
+
+                readAll({ checkpoint: store }, done, (lines) => {
+                    expect(lines).to.deep.equal(['d', ''])
+                    done()
+                })
+            })
+        })
+
+        it('should throttle saves while following and save last position once destroyed', function (done) {
+            const saved = []
+            const store = {
+                get: () => undefined,
+                set: (name, state) => {
+                    saved.push(state.cursor)
+                }
+            }
+            let eofCount = 0
+
+            const tail = new Tail(targetPath, {
+                lines: 2,
+                follow: true,
+                watch: true,
+                sleepInterval: 10000,
+                checkpoint: store
+            }).on('eof', () => {
+                // Checkpoint is saved asynchronously
+                setImmediate(() => {
+                    expect(saved).to.deep.equal([6])
+
+                    if (++eofCount === 1) {
+                        fs.appendFileSync(targetPath, 'd\n')
+                    } else {
+                        tail.destroy()
+                    }
+                })
+            }).on('close', () => {
+                setImmediate(() => {
+                    expect(saved).to.deep.equal([6, 8])
+                    done()
+                })
+            })
+        })
+
+        it('should fail with invalid value', function (done) {
+            new Tail(targetPath, {
+                checkpoint: {}
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to checkpoint option/)
+                done()
+            })
+        })
+    })
+
+    describe('readable stream', function () {
+        it('should only emit last lines once stream ends', function (done) {
+            const stream = new PassThrough()
+            const lines = []
+
+            new Tail(stream, {
+                lines: 3
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(['4', '5', '6'])
+                done()
+            })
+
+            for (let i = 0; i < 7; i++) {
+                stream.write(i < 6 ? `${i}\n` : '6')
+            }
+
+            setTimeout(() => {
+                expect(lines).to.have.lengthOf(0)
+                stream.end()
+            }, 100)
+        })
+
+        it('should emit lines as soon as they are read in follow mode', function (done) {
+            const stream = new PassThrough()
+            const lines = []
+
+            new Tail(stream, {
+                follow: true
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(['first', 'second', 'third'])
+                done()
+            })
+
+            stream.write('first\nsec')
+
+            setTimeout(() => {
+                expect(lines).to.deep.equal(['first'])
+                stream.write('ond\nthird')
+                stream.end()
+            }, 100)
+        })
+        it('should apply backpressure when piped to a slow writable', function (done) {
+            if (!pipeline) {
+                this.skip()
+            }
+
+            const lines = corpus.expectations.content.toString().split(/\r?\n/)
+            const written = []
+            let maxBuffered = 0
+
+            const tail = new Tail(corpus.path, {
+                lines: 0
+            })
+
+            const sink = new Writable({
+                objectMode: true,
+                highWaterMark: 1,
+                write (chunk, encoding, cb) {
+                    maxBuffered = Math.max(maxBuffered, tail._readableState.length + this._writableState.length)
+                    written.push(chunk.toString())
+                    setImmediate(cb)
+                }
+            })
+
+            pipeline(tail, sink, (err) => {
+                expect(err).to.not.exist
+                expect(written).to.deep.equal(lines)
+                // Reading was paused instead of buffering the whole file
+                expect(maxBuffered).to.be.below(lines.length / 2)
+                done()
+            })
+        })
+
+        it('should keep piping data appended to a followed file', function (done) {
+            if (!pipeline) {
+                this.skip()
+            }
+
+            this.timeout(3000)
+            this.slow(3000)
+
+            const expectedLogPath = getExpectedLogPath()
+            const written = []
+            let eofCount = 0
+
+            fs.writeFileSync(expectedLogPath, 'a\nb\n')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                sleepInterval: 100
+            }).on('eof', () => {
+                // Data is appended once first read is done
+                if (++eofCount === 1) {
+                    fs.appendFileSync(expectedLogPath, 'c\n')
+                }
+            })
+
+            const sink = new Writable({
+                highWaterMark: 1,
+                write (chunk, encoding, cb) {
+                    written.push(chunk.toString())
+
+                    if (written.length === 3) {
+                        tail.unfollow()
+                    }
+
+                    setImmediate(cb)
+                }
+            })
+
+            pipeline(tail, sink, (err) => {
+                expect(err).to.not.exist
+                expect(written).to.deep.equal(['a', 'b', 'c'])
+
+                fs.unlinkSync(expectedLogPath)
+                done()
+            })
+        })
+
+        it('should pause target stream while stream buffer is full', function (done) {
+            const stream = new PassThrough()
+
+            const tail = new Tail(stream, {
+                lines: 0,
+                follow: true
+            })
+
+            tail.pause()
+
+            for (let i = 0; i < 100; i++) {
+                stream.write(`${i}\n`)
+            }
+
+            setTimeout(() => {
+                expect(stream.isPaused()).to.be.true
+                expect(tail._readableState.length).to.be.below(100)
+
+                const lines = []
+
+                tail.on('data', (data) => {
+                    lines.push(data.toString())
+
+                    if (lines.length === 100) {
+                        expect(stream.isPaused()).to.be.false
+                        tail.unfollow()
+                        done()
+                    }
+                }).resume()
+            }, 100)
+        })
+    })
+
+    describe('promise and async iterator', function () {
+        /**
+         * Collect values of an async iterator without for await syntax (not supported by Node 8)
+         * @param {AsyncIterator} iterator Iterator to collect values from
+         * @param {Array} [values] Values collected so far
+         * @returns {Promise<Array>}
+         */
+        function collect (iterator, values = []) {
+            return iterator.next().then(({ value, done }) => done ? values : collect(iterator, values.concat(value)))
+        }
+
+        beforeEach(function () {
+            if (!Symbol.asyncIterator) {
+                this.skip()
+            }
+        })
+
+        it('should iterate over lines', function () {
+            return collect(new Tail(corpus.path)[Symbol.asyncIterator]()).then((lines) => {
+                expect(lines.join('\r\n')).to.equal(fs.readFileSync(paths.expectations.noOptions, { encoding: 'utf8', flag: 'r' }))
+            })
+        })
+
+        it('should iterate over followed lines until unfollow', function () {
+            const expectedLogPath = getExpectedLogPath()
+
+            fs.writeFileSync(expectedLogPath, '')
+
+            const tail = new Tail(expectedLogPath, {
+                follow: true,
+                sleepInterval: 100
+            }).on('line', (line) => {
+                if (line === 'last') {
+                    tail.unfollow()
+                }
+            })
+
+            fs.appendFileSync(expectedLogPath, 'first\nlast\n')
+
+            return collect(tail[Symbol.asyncIterator]()).then((lines) => {
+                expect(lines).to.deep.equal(['first', 'last'])
+                fs.unlinkSync(expectedLogPath)
+            })
+        })
+
+        it('should pause target stream while lines are not consumed', function () {
+            const stream = new PassThrough()
+            const tail = new Tail(stream, {
+                lines: 0,
+                follow: true
+            })
+            const iterator = tail[Symbol.asyncIterator]()
+
+            for (let i = 0; i < 1000; i++) {
+                stream.write(`${i}\n`)
+            }
+
+            return new Promise((resolve) => setTimeout(resolve, 100)).then(() => {
+                expect(stream.isPaused()).to.be.true
+
+                return iterator.next()
+            }).then(({ value }) => {
+                expect(value).to.equal('0')
+                stream.end()
+
+                return collect(iterator, [value])
+            }).then((lines) => {
+                expect(lines).to.have.lengthOf(1000)
+                    .and.have.property(999, '999')
+            })
+        })
+
+        it('should reject iteration with stream error', function () {
+            return collect(new Tail(corpus.path, { lines: {} })[Symbol.asyncIterator]()).then(() => {
+                throw new Error('Iteration should have failed')
+            }, (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message').that.match(/^Invalid value provided to/)
+            })
+        })
+
+        it('should destroy stream when iteration is stopped', function () {
+            const tail = new Tail(corpus.path, { follow: true })
+
+            return tail[Symbol.asyncIterator]().return().then(({ done }) => {
+                expect(done).to.equal(true)
+                expect(tail.destroyed).to.equal(true)
+            })
+        })
+
+        it('should read lines at once', function () {
+            return Tail.read(corpus.path, { lines: 3, follow: true }).then((lines) => {
+                expect(lines).to.deep.equal(corpus.expectations.content.toString('utf8').split(/\r\n/).slice(-3))
+            })
+        })
+
+        it('should reject read with stream error', function () {
+            return Tail.read(path.resolve(__dirname, `${randomString(10)}.txt`)).then(() => {
+                throw new Error('Read should have failed')
+            }, (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('code', 'ENOENT')
+            })
+        })
+    })
+
+    describe('multiple targets', function () {
+        const firstPath = path.resolve(__dirname, 'first.txt')
+        const secondPath = path.resolve(__dirname, 'second.txt')
+        const missingPath = path.resolve(__dirname, 'missing.txt')
+
+        beforeEach(function () {
+            fs.writeFileSync(firstPath, 'first 1\nfirst 2')
+            fs.writeFileSync(secondPath, 'second 1\nsecond 2')
+        })
+
+        afterEach(function () {
+            fs.unlinkSync(firstPath)
+            fs.unlinkSync(secondPath)
+        })
+
+        it('should emit lines of every target with their name', function (done) {
+            const lines = []
+
+            new Tail([firstPath, secondPath], {
+                lines: 0
+            }).on('line', (line, name) => {
+                lines.push([name, line])
+            }).on('end', () => {
+                expect(lines).to.deep.equal([
+                    [firstPath, 'first 1'],
+                    [firstPath, 'first 2'],
+                    [secondPath, 'second 1'],
+                    [secondPath, 'second 2']
+                ])
+                done()
+            })
+        })
+
+        it('should emit headers', function (done) {
+            const data = []
+
+            new Tail([firstPath, secondPath], {
+                lines: 0,
+                headers: true
+            }).on('data', (line) => {
+                data.push(line)
+            }).on('end', () => {
+                expect(Buffer.concat(addLT(data, 'utf8', '\n')).toString()).to.equal(
+                    `==> ${firstPath} <==\nfirst 1\nfirst 2\n\n==> ${secondPath} <==\nsecond 1\nsecond 2`
+                )
+                done()
+            })
+        })
+
+        it('should emit headers of a target given twice', function (done) {
+            const lines = []
+
+            new Tail([firstPath, firstPath], {
+                lines: 0,
+                headers: true
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal([`==> ${firstPath} <==`, 'first 1', 'first 2', '', `==> ${firstPath} <==`, 'first 1', 'first 2'])
+                done()
+            })
+        })
+
+        it('should keep tailing other targets if a target fails', function (done) {
+            const lines = []
+            const errors = []
+
+            new Tail([firstPath, missingPath, secondPath], {
+                lines: 0
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('targetError', (err, name) => {
+                errors.push(name)
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('code', 'ENOENT')
+            }).on('end', () => {
+                expect(errors).to.deep.equal([missingPath])
+                expect(lines).to.deep.equal(['first 1', 'first 2', 'second 1', 'second 2'])
+                done()
+            })
+        })
+
+        it('should merge lines of targets tailed at once in order', function (done) {
+            const lines = []
+            const expected = []
+
+            for (let i = 0; i < 100; i++) {
+                expected.push(`first ${i}`)
+            }
+
+            fs.writeFileSync(firstPath, expected.join('\n'))
+
+            new Tail([firstPath, secondPath], {
+                lines: 0
+            }).on('line', (line) => {
+                lines.push(line)
+            }).on('end', () => {
+                expect(lines).to.deep.equal(expected.concat(['second 1', 'second 2']))
+                done()
+            })
+        })
+
+        it('should tail other targets while a target is retrying', function (done) {
+            this.timeout(2000)
+            this.slow(2000)
+
+            const lines = []
+
+            const tail = new Tail([missingPath, secondPath], {
+                follow: true,
+                retry: true,
+                sleepInterval: 100
+            }).on('retry', (err, name) => {
+                expect(err).to.have.property('code', 'ENOENT')
+                expect(name).to.equal(missingPath)
+            }).on('line', (line, name) => {
+                lines.push([name, line])
+
+                if (line === 'second 2') {
+                    fs.writeFileSync(missingPath, 'missing 1\n')
+                } else if (line === 'missing 1') {
+                    tail.unfollow()
+
+                    expect(lines).to.deep.equal([
+                        [secondPath, 'second 1'],
+                        [secondPath, 'second 2'],
+                        [missingPath, 'missing 1']
+                    ])
+
+                    fs.unlinkSync(missingPath)
+                    done()
+                }
+            })
+        })
+
+        it('should fail if a target fails with failFast option', function (done) {
+            new Tail([firstPath, missingPath, secondPath], {
+                failFast: true
+            }).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('code', 'ENOENT')
+                done()
+            })
+        })
+    })
+
+    describe('directory target', function () {
+        const dirPath = path.resolve(__dirname, 'workers')
+        const workerPath = (name) => path.join(dirPath, name)
+
+        beforeEach(function () {
+            fs.mkdirSync(dirPath)
+            fs.writeFileSync(workerPath('worker-1.log'), 'first 1\nfirst 2')
+            fs.writeFileSync(workerPath('worker-2.log'), 'second 1\nsecond 2')
+            fs.writeFileSync(workerPath('other.txt'), 'other')
+        })
+
+        afterEach(function () {
+            fs.readdirSync(dirPath).forEach((file) => fs.unlinkSync(workerPath(file)))
+            fs.rmdirSync(dirPath)
+        })
+
+        it('should emit lines of every file of directory', function (done) {
+            const lines = []
+
+            new Tail(dirPath, {
+                lines: 0
+            }).on('line', (line, name) => {
+                lines.push([path.basename(name), line])
+            }).on('end', () => {
+                expect(lines).to.deep.equal([
+                    ['other.txt', 'other'],
+                    ['worker-1.log', 'first 1'],
+                    ['worker-1.log', 'first 2'],
+                    ['worker-2.log', 'second 1'],
+                    ['worker-2.log', 'second 2']
+                ])
+                done()
+            })
+        })
+
+        it('should only emit lines of files matching glob pattern', function (done) {
+            const lines = []
+
+            new Tail(workerPath('worker-*.log'), {
+                lines: 0
+            }).on('line', (line, name) => {
+                lines.push([path.basename(name), line])
+            }).on('end', () => {
+                expect(lines).to.deep.equal([
+                    ['worker-1.log', 'first 1'],
+                    ['worker-1.log', 'first 2'],
+                    ['worker-2.log', 'second 1'],
+                    ['worker-2.log', 'second 2']
+                ])
+                done()
+            })
+        })
+
+        it('should tail new files from their start and detach from deleted files', function (done) {
+            this.timeout(3000)
+            this.slow(3000)
+
+            const lines = []
+
+            fs.writeFileSync(workerPath('worker-1.log'), 'first 1\nfirst 2\n')
+            fs.writeFileSync(workerPath('worker-2.log'), 'second 1\nsecond 2\n')
+
+            const tail = new Tail(workerPath('worker-*.log'), {
+                follow: true,
+                lines: 1,
+                sleepInterval: 100
+            }).on('line', (line, name) => {
+                lines.push([path.basename(name), line])
+
+                if (line === 'third 2') {
+                    fs.unlinkSync(workerPath('worker-1.log'))
+
+                    setTimeout(() => {
+                        fs.appendFileSync(workerPath('worker-2.log'), 'second 3\n')
+                    }, 300)
+                } else if (line === 'second 3') {
+                    tail.unfollow()
+
+                    expect(lines).to.deep.equal([
+                        ['worker-1.log', 'first 2'],
+                        ['worker-2.log', 'second 2'],
+                        ['worker-3.log', 'third 1'],
+                        ['worker-3.log', 'third 2'],
+                        ['worker-2.log', 'second 3']
+                    ])
+                    expect(tail.tails.filter((fileTail) => fileTail.isDetached).map((fileTail) => fileTail.name)).to.deep.equal([workerPath('worker-1.log')])
+                    done()
+                }
+            }).on('targetError', done)
+
+            setTimeout(() => {
+                fs.writeFileSync(workerPath('worker-3.log'), 'third 1\nthird 2\n')
+                fs.writeFileSync(workerPath('other-3.txt'), 'other 3\n')
+            }, 200)
+        })
+
+        it('should fail if glob pattern is not only in file names', function (done) {
+            new Tail(path.join(dirPath, '*', 'worker-1.log')).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('message', 'Glob patterns are only supported in file names')
+                done()
+            })
+        })
+
+        it('should fail if directory does not exist', function (done) {
+            new Tail(path.join(dirPath, 'missing', '*.log')).on('error', (err) => {
+                expect(err).to.be.instanceof(Error)
+                    .and.have.property('code', 'ENOENT')
+                done()
+            })
+        })
+    })
+
+    describe('serve', function () {
+        const logPath = path.resolve(__dirname, 'served.log')
+        let server
+
+        /**
+         * Request served target, parsing Server-Sent Events of response
+         * @param {String} url Request URL path
+         * @param {Function} onEvent Function called with response and each parsed event ({ event, data })
+         * @returns {http.ClientRequest}
+         */
+        function request (url, onEvent) {
+            return http.get(`http://127.0.0.1:${server.address().port}${url}`, (res) => {
+                let buffer = ''
+
+                res.setEncoding('utf8')
+                res.on('data', (chunk) => {
+                    const events = (buffer + chunk).split('\n\n')
+
+                    buffer = events.pop()
+
+                    events.forEach((text) => {
+                        const event = { event: 'message', data: [] }
+
+                        text.split('\n').forEach((field) => {
+                            const [name, value] = [field.slice(0, field.indexOf(':')), field.slice(field.indexOf(':') + 2)]
+
+                            if (name === 'event') {
+                                event.event = value
+                            } else if (name === 'data') {
+                                event.data.push(value)
+                            }
+                        })
+
+                        event.data = event.data.join('\n')
+                        onEvent(res, event)
+                    })
+                })
+            })
+        }
+
+        beforeEach(function (done) {
+            fs.writeFileSync(logPath, 'first\nsecond error\nthird\n')
+
+            server = Tail.serve({
+                targets: { app: logPath },
+                options: { sleepInterval: 100 }
+            }).listen(0, '127.0.0.1', done)
+        })
+
+        afterEach(function (done) {
+            fs.unlinkSync(logPath)
+            server.close(done)
+        })
+
+        it('should stream target lines as events', function (done) {
+            const events = []
+
+            request('/app?lines=3', (res, event) => {
+                expect(res.statusCode).to.equal(200)
+                expect(res.headers['content-type']).to.match(/^text\/event-stream/)
+
+                events.push(event)
+
+                if (event.event === 'end') {
+                    expect(events.map(({ data }) => data)).to.deep.equal(['second error', 'third', '', ''])
+                    done()
+                }
+            })
+        })
+
+        it('should filter lines with query string parameters', function (done) {
+            const lines = []
+
+            request('/app?lines=0&include=error&include=fir&exclude=(', (res, event) => {
+                if (event.event === 'end') {
+                    expect(lines).to.deep.equal(['first', 'second error'])
+                    done()
+                } else {
+                    lines.push(event.data)
+                }
+            })
+        })
+
+        it('should filter lines with regular expressions with allowPatterns option', function (done) {
+            const lines = []
+
+            server.close()
+            server = Tail.serve({
+                targets: { app: logPath },
+                allowPatterns: true
+            }).listen(0, '127.0.0.1', () => {
+                request('/app?lines=0&include=err(or)%3F&include=^first$', (res, event) => {
+                    if (event.event === 'end') {
+                        expect(lines).to.deep.equal(['first', 'second error'])
+                        done()
+                    } else {
+                        lines.push(event.data)
+                    }
+                })
+            })
+        })
+
+        it('should follow target and unfollow it once client disconnects', function (done) {
+            this.timeout(3000)
+            this.slow(3000)
+
+            const unfollow = Tail.prototype.unfollow
+            let req
+
+            Tail.prototype.unfollow = function () {
+                Tail.prototype.unfollow = unfollow
+                this.unfollow()
+
+                expect(this.isPolling).to.be.false
+                this.on('close', () => done())
+            }
+
+            req = request('/app?follow=true&lines=1', (res, event) => {
+                if (event.data === 'third') {
+                    fs.appendFileSync(logPath, 'fourth\n')
+                } else if (event.data === 'fourth') {
+                    req.destroy()
+                }
+            })
+        })
+
+        it('should reply with an error to unknown targets', function (done) {
+            request(`/${encodeURIComponent(logPath)}`, () => {}).on('response', (res) => {
+                expect(res.statusCode).to.equal(404)
+                res.resume()
+                done()
+            })
+        })
+
+        it('should reply with an error to invalid query string parameters', function (done) {
+            request('/app?lines=many', () => {}).on('response', (res) => {
+                expect(res.statusCode).to.equal(400)
+                res.resume()
+                done()
+            })
+        })
+
+        it('should fail with invalid targets', function () {
+            expect(() => Tail.serve({})).to.throw(Error, 'Invalid targets provided')
+        })
+    })
+
+    describe('command line', function () {
+        const cliPath = path.resolve(__dirname, '../bin/better-tail.js')
+        // Last lines of corpus, output with their CRLF delimiters like tail does
+        const lastLines = (count) => corpus.expectations.content.toString('utf8').split(/\r\n/).slice(-count - 1, -1).map((line) => `${line}\r\n`).join('')
+
+        function run (args, cb) {
+            execFile(process.execPath, [cliPath].concat(args), (err, stdout, stderr) => {
+                cb(err ? err.code : 0, stdout, stderr)
+            })
+        }
+
+        it('should print last lines of file', function (done) {
+            run(['-n', '3', corpus.path], (code, stdout) => {
+                expect(code).to.equal(0)
+                expect(stdout).to.equal(lastLines(3))
+                done()
+            })
+        })
+
+        it('should tail piped standard input', function (done) {
+            const child = spawn(process.execPath, [cliPath, '-n', '2'])
+            let stdout = ''
+
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk
+            })
+
+            child.on('close', (code) => {
+                expect(code).to.equal(0)
+                expect(stdout).to.equal('1\n2\n')
+                done()
+            })
+
+            child.stdin.end('0\n1\n2\n')
+        })
+
+        it('should tail standard input redirected from file', function (done) {
+            const fd = fs.openSync(corpus.path, 'r')
+            const child = spawn(process.execPath, [cliPath, '-n', '3'], {
+                stdio: [fd, 'pipe', 'pipe']
+            })
+            let stdout = ''
+
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk
+            })
+
+            child.on('close', (code) => {
+                fs.closeSync(fd)
+
+                expect(code).to.equal(0)
+                expect(stdout).to.equal(lastLines(3))
+                done()
+            })
+        })
+
+        it('should print NUL-terminated records', function (done) {
+            const child = spawn(process.execPath, [cliPath, '-z', '-n', '2'])
+            let stdout = ''
+
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk
+            })
+
+            child.on('close', (code) => {
+                expect(code).to.equal(0)
+                expect(stdout).to.equal('a\0b\nc\0')
+                done()
+            })
+
+            child.stdin.end('a\0b\nc\0')
+        })
+
+        it('should stop following once watched process exits', function (done) {
+            const child = spawn(process.execPath, ['-e', ''])
+
+            child.on('exit', () => {
+                run(['-f', `--pid=${child.pid}`, '-s', '0.1', '-n', '1', corpus.path], (code, stdout) => {
+                    expect(code).to.equal(0)
+                    expect(stdout).to.equal(lastLines(1))
+                    done()
+                })
+            })
+        })
+
+        it('should count lines and bytes like tail does', function (done) {
+            const logPath = getExpectedLogPath()
+
+            fs.writeFileSync(logPath, Buffer.from('ab\xff\xfe\r\ncd\r\n', 'latin1'))
+
+            const cases = [
+                [['-n', '2'], 'ab\xff\xfe\r\ncd\r\n'],
+                [['-n', '+2'], 'cd\r\n'],
+                [['-n', '0'], ''],
+                [['-c', '+3'], '\xff\xfe\r\ncd\r\n'],
+                [['-c', '7'], '\xfe\r\ncd\r\n'],
+                [['-c', '0'], '']
+            ]
+            let count = 0
+
+            cases.forEach(([args, expected]) => {
+                execFile(process.execPath, [cliPath].concat(args, logPath), { encoding: 'buffer' }, (err, stdout) => {
+                    expect(err).to.not.exist
+                    expect(stdout.toString('latin1')).to.equal(expected, args.join(' '))
+
+                    if (++count === cases.length) {
+                        fs.unlinkSync(logPath)
+                        done()
+                    }
+                })
+            })
+        })
+
+        it('should keep printing other files while a file is retried', function (done) {
+            const missingPath = path.resolve(__dirname, `${randomString(10)}.txt`)
+            const child = spawn(process.execPath, [cliPath, '-F', '-n', '1', missingPath, corpus.path])
+            let stdout = ''
+            let stderr = ''
+
+            child.stderr.on('data', (chunk) => {
+                stderr += chunk
+            })
+
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk
+
+                if (stdout === `==> ${corpus.path} <==\n${lastLines(1)}`) {
+                    child.kill()
+                }
+            })
+
+            child.on('close', () => {
+                expect(stderr).to.equal(`better-tail: cannot open '${missingPath}' for reading: No such file or directory\n`)
+                done()
+            })
+        })
+
+        it('should print friendly message on invalid option value', function (done) {
+            run(['-n', 'abc', corpus.path], (code, stdout, stderr) => {
+                expect(code).to.equal(1)
+                expect(stderr).to.equal("better-tail: invalid number of lines: 'abc'\nTry 'better-tail --help' for more information.\n")
+                done()
+            })
+        })
+
+        it('should print friendly message on unknown option', function (done) {
+            run(['--foo', corpus.path], (code, stdout, stderr) => {
+                expect(code).to.equal(1)
+                expect(stderr).to.match(/^better-tail: unrecognized option '--foo'\n/)
+                done()
+            })
+        })
+
+        it('should keep printing other files and fail if a file is missing', function (done) {
+            const missingPath = path.resolve(__dirname, `${randomString(10)}.txt`)
+
+            run(['-n', '1', missingPath, corpus.path], (code, stdout, stderr) => {
+                expect(code).to.equal(1)
+                expect(stderr).to.equal(`better-tail: cannot open '${missingPath}' for reading: No such file or directory\n`)
+                expect(stdout).to.match(new RegExp(`^==> ${corpus.path} <==\n`))
                 done()
             })
         })
     })
 
     describe('errors', function () {
-        it('should fail to tail undefined target', function (done) {
-            new Tail().on('error', (err) => {
+        it('should fail to tail null target', function (done) {
+            new Tail(null).on('error', (err) => {
                 expect(err).to.be.instanceof(Error)
                     .and.have.property('message', 'Invalid target provided')
                 done()